@@ -8,9 +8,15 @@ import {
     getRenderContext
 } from "../canvasRenderUtils";
 import {
-    havePropsChanged
+    havePropsChanged,
+    isDataAppended
 } from "../utils";
+import { isOffscreenCanvasSupported } from "../workerPipeline";
+import { calculateAnnotationPosition, isXAnnotation } from "../annotationUtils";
 import { brushX } from "d3-brush";
+import "d3-transition";
+import { max as d3Max } from "d3-array";
+import { PRESET_BUTTON_WIDTH } from "../constants";
 
 /**
  * DensityChart
@@ -33,16 +39,40 @@ export default class DensityChart extends PureComponent {
         brushDomainMax: PropTypes.number.isRequired,
         densityChartXScale: PropTypes.func.isRequired,
         onDomainChanged: PropTypes.func.isRequired,
+        onJumpToLive: PropTypes.func,
         xAccessor: PropTypes.func.isRequired,
+        preBinned: PropTypes.bool,
         frameStep: PropTypes.number,
         frameDelay: PropTypes.number,
         brushDensityChartColor: PropTypes.string,
         brushDensityChartFadedColor: PropTypes.string,
-        renderPlayButton: PropTypes.bool
+        renderPlayButton: PropTypes.bool,
+        brushTransitionDuration: PropTypes.number,
+        annotations: PropTypes.arrayOf(PropTypes.object),
+        presets: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired
+        })),
+        activePresetKey: PropTypes.string,
+        onPresetClick: PropTypes.func,
+        onPlayingChange: PropTypes.func,
+        workerPipeline: PropTypes.shape({
+            attachDensityCanvas: PropTypes.func.isRequired,
+            drawDensity: PropTypes.func.isRequired
+        })
     };
 
     static defaultProps = {
         renderPlayButton: true,
+        brushTransitionDuration: 0,
+        onJumpToLive: null,
+        preBinned: false,
+        annotations: [],
+        presets: [],
+        activePresetKey: null,
+        onPresetClick: () => {},
+        onPlayingChange: () => {},
+        workerPipeline: null,
         overallTimeDomainMax: -Infinity,
         brushDensityChartColor: "rgba(33, 150, 243, 0.2)",
         brushDensityChartFadedColor: "rgba(176, 190, 197, 0.2)"
@@ -56,9 +86,16 @@ export default class DensityChart extends PureComponent {
     }
 
     componentDidMount() {
-        this.densityChartCanvasContext = getRenderContext(this.densityChartRef.current);
+        // The canvas can only be transferred to the worker once, so this is decided when mounting
+        this.isDrawnInWorker = this._canDrawInWorker();
+
+        if (this.isDrawnInWorker) {
+            this.props.workerPipeline.attachDensityCanvas(this.densityChartRef.current);
+        } else {
+            this.densityChartCanvasContext = getRenderContext(this.densityChartRef.current);
+        }
 
-        const { width, height, densityChartXScale } = this.props;
+        const { width, height } = this.props;
 
         this.brush = brushX()
             .extent([
@@ -69,26 +106,24 @@ export default class DensityChart extends PureComponent {
 
         this._updateBrush();
 
-        this._moveBrush(densityChartXScale.range());
+        this._moveBrushToBrushDomain();
 
         this._drawDensityChart();
     }
 
     componentDidUpdate(prevProps) {
-        // We only need to re-render the density chart if the data, the weight, the height or
-        // the chart x scale have changed.
-        if (this._shouldRedrawDensityChart(prevProps)) {
-            let min = this.props.brushDomainMin;
-            let max = this.props.brushDomainMax;
+        const hasCanvasChanged = this._stopDrawingInWorkerIfItFailed();
 
-            const { densityChartXScale, width, height } = this.props;
-
-            if (max >= this.props.overallTimeDomainMax) {
-                const delta = this.props.brushDomainMax - this.props.brushDomainMin;
+        // When new data is just appended we only need to draw it on top of what is already drawn
+        if (!hasCanvasChanged && this._canDrawAppendedDataOnly(prevProps)) {
+            this._drawDensityChartPoints(this.props.data.slice(prevProps.data.length));
+            return;
+        }
 
-                min = this.props.overallTimeDomainMax - delta;
-                max = this.props.overallTimeDomainMax;
-            }
+        // We only need to re-render the density chart if the data, the weight, the height or
+        // the chart x scale have changed.
+        if (hasCanvasChanged || this._shouldRedrawDensityChart(prevProps)) {
+            const { width, height } = this.props;
 
             // We need to resize the max value of the brush when the screen has resized
             if (prevProps.width !== width || prevProps.height !== height) {
@@ -101,10 +136,11 @@ export default class DensityChart extends PureComponent {
 
             this._updateBrush();
 
-            this._moveBrush([
-                densityChartXScale(min),
-                densityChartXScale(max)
-            ]);
+            // With a brush transition the brush follows the pointer while the user brushes, and is animated
+            // to the applied brush domain once released
+            if (!this.isUserBrushing || this.props.brushTransitionDuration === 0) {
+                this._moveBrushToBrushDomain();
+            }
 
             this._drawDensityChart();
         }
@@ -130,6 +166,12 @@ export default class DensityChart extends PureComponent {
             return;
         }
 
+        // Moving the brush to reflect the brush domain from props, with or without an animation, is not a
+        // domain change
+        if (this.isMovingBrushToBrushDomain || (this.isAnimatingBrush && !event.sourceEvent)) {
+            return;
+        }
+
         let brushSelection;
 
         if (Array.isArray(event.selection)) {
@@ -139,6 +181,25 @@ export default class DensityChart extends PureComponent {
             brushSelection = this.props.densityChartXScale.range();
         }
 
+        this.isUserBrushing = Boolean(event.sourceEvent);
+        this.props.onDomainChanged(brushSelection);
+        this.isUserBrushing = false;
+
+        // When the user finishes brushing we make sure the brush reflects the domain that was actually
+        // applied, since a controlling parent may have rejected or adjusted (e.g., snapped) the one we proposed.
+        if (event.type === "end" && event.sourceEvent) {
+            this._moveBrushToBrushDomain(true);
+        }
+    };
+
+    /**
+     * Handles a new frame from the play button. The frame is proposed as a new domain instead of
+     * moving the brush directly so that the brush always reflects the applied brush domain.
+     *
+     * @param {Array<Number>} brushSelection
+     * @private
+     */
+    _onPlayFrame = (brushSelection) => {
         this.props.onDomainChanged(brushSelection);
     };
 
@@ -170,16 +231,112 @@ export default class DensityChart extends PureComponent {
      * Moves brush on density strip plot to given domain
      * @private
      * @param {Array<Number>} domain
+     * @param {boolean} [isAnimated] Whenever to animate the brush, if there is a `brushTransitionDuration`.
      */
-    _moveBrush = (domain) => {
-        if (this.props.data.length === 0) {
+    _moveBrush = (domain, isAnimated = false) => {
+        const { data, brushTransitionDuration } = this.props;
+
+        if (data.length === 0) {
             return;
         }
 
+        if (!isAnimated || brushTransitionDuration === 0) {
+            d3Select(this.densityBrushRef.current)
+                .call(this.brush.move, domain);
+            return;
+        }
+
+        this.isAnimatingBrush = true;
+
         d3Select(this.densityBrushRef.current)
-            .call(this.brush.move, domain);
+            .transition()
+            .duration(brushTransitionDuration)
+            .call(this.brush.move, domain)
+            .on("end interrupt", () => {
+                this.isAnimatingBrush = false;
+            });
     };
 
+    /**
+     * If the worker pipeline failed the density chart is drawn here instead, in a new canvas since the previous
+     * one was transferred to the worker.
+     *
+     * @returns {boolean} Whenever the density chart stopped being drawn in the worker.
+     * @private
+     */
+    _stopDrawingInWorkerIfItFailed() {
+        if (!this.isDrawnInWorker || this._canDrawInWorker()) {
+            return false;
+        }
+
+        this.isDrawnInWorker = false;
+        this.densityChartCanvasContext = getRenderContext(this.densityChartRef.current);
+
+        return true;
+    }
+
+    /**
+     * Returns whenever the density chart can be drawn by the worker pipeline.
+     * @returns {boolean}
+     * @private
+     */
+    _canDrawInWorker() {
+        return this.props.workerPipeline !== null && isOffscreenCanvasSupported();
+    }
+
+    /**
+     * Moves the brush to the position of the brush domain received via props.
+     *
+     * @param {boolean} [isAnimated] Whenever to animate the brush, if there is a `brushTransitionDuration`.
+     * @private
+     */
+    _moveBrushToBrushDomain(isAnimated = false) {
+        const { densityChartXScale, overallTimeDomainMax } = this.props;
+
+        let min = this.props.brushDomainMin;
+
+        let max = this.props.brushDomainMax;
+
+        if (Number.isFinite(overallTimeDomainMax) && max >= overallTimeDomainMax) {
+            const delta = this.props.brushDomainMax - this.props.brushDomainMin;
+
+            min = overallTimeDomainMax - delta;
+            max = overallTimeDomainMax;
+        }
+
+        this.isMovingBrushToBrushDomain = true;
+
+        this._moveBrush([
+            densityChartXScale(min),
+            densityChartXScale(max)
+        ], isAnimated);
+
+        this.isMovingBrushToBrushDomain = false;
+    }
+
+    /**
+     * Returns whenever the only change since the given previous props is new data being appended, in which
+     * case the density chart that is already drawn is still valid.
+     *
+     * @param {Object} prevProps
+     * @returns {boolean}
+     * @private
+     */
+    _canDrawAppendedDataOnly(prevProps) {
+        if (this.isDrawnInWorker || this.props.preBinned) {
+            return false;
+        }
+
+        return isDataAppended(prevProps.data, this.props.data) && !havePropsChanged(this.props, prevProps, [
+            "brushDomainMin",
+            "brushDomainMax",
+            "preBinned",
+            "width",
+            "height",
+            "densityChartXScale"
+        ]);
+    }
+
     /**
      * Returns whenever it is necessary to re-render the density chart, based on the current and previous
      * props.
@@ -191,6 +348,7 @@ export default class DensityChart extends PureComponent {
             "brushDomainMin",
             "brushDomainMax",
             "data",
+            "preBinned",
             "width",
             "height",
             "densityChartXScale"
@@ -211,14 +369,54 @@ export default class DensityChart extends PureComponent {
             densityChartXScale,
             brushDomainMax,
             brushDomainMin,
-            xAccessor,
             data,
             brushDensityChartColor,
             brushDensityChartFadedColor
         } = this.props;
 
+        if (this.isDrawnInWorker) {
+            const [ domainMin, domainMax ] = densityChartXScale.domain().map(Number);
+
+            this.props.workerPipeline.drawDensity({
+                width,
+                height,
+                domainMin,
+                domainMax,
+                brushDomainMin,
+                brushDomainMax,
+                color: brushDensityChartColor,
+                fadedColor: brushDensityChartFadedColor
+            });
+            return;
+        }
+
         clearCanvas(this.densityChartCanvasContext, width, height);
 
+        if (this.props.preBinned) {
+            this._drawPreBinnedDensityChart();
+            return;
+        }
+
+        this._drawDensityChartPoints(data);
+    }
+
+    /**
+     * Draws the given data points in the density strip plot, without clearing it.
+     *
+     * @param {Array.<Object>} data
+     * @private
+     */
+    _drawDensityChartPoints(data) {
+        const {
+            height,
+            densityChartXScale,
+            brushDomainMax,
+            brushDomainMin,
+            xAccessor,
+            brushDensityChartColor,
+            brushDensityChartFadedColor
+        } = this.props;
+
         for (let i = 0; i < data.length; ++i) {
             const x = xAccessor(data[i]);
             const isInsideOfBrushDomain = x >= brushDomainMin && x < brushDomainMax;
@@ -236,13 +434,51 @@ export default class DensityChart extends PureComponent {
         }
     }
 
+    /**
+     * Draws the pre-aggregated buckets in the density strip plot. Each bucket covers its own interval and
+     * is as opaque as its value is close to the biggest value.
+     *
+     * @private
+     */
+    _drawPreBinnedDensityChart() {
+        const {
+            height,
+            densityChartXScale,
+            brushDomainMax,
+            brushDomainMin,
+            data,
+            brushDensityChartColor,
+            brushDensityChartFadedColor
+        } = this.props;
+
+        const maxValue = d3Max(data, (bucket) => Math.abs(bucket.value));
+
+        for (let i = 0; i < data.length; ++i) {
+            const { x0, x1, value } = data[i];
+            const isInsideOfBrushDomain = x0 >= brushDomainMin && x0 < brushDomainMax;
+            const x = densityChartXScale(x0);
+
+            drawRect(
+                this.densityChartCanvasContext, // canvas context
+                x, // x
+                0, // y
+                Math.max(densityChartXScale(x1) - x, 2), // width
+                height, // height
+                {
+                    fillStyle: isInsideOfBrushDomain ? brushDensityChartColor : brushDensityChartFadedColor,
+                    globalAlpha: maxValue > 0 ? Math.abs(value) / maxValue : 0
+                }
+            );
+        }
+    }
+
     /**
      * Renders the play button that allows to replay a time-lapse of the events.
      * @returns {React.Element|null}
      */
     _renderPlayButton() {
         const { width, densityChartXScale, brushDomainMax, brushDomainMin,
-            frameStep, frameDelay, renderPlayButton } = this.props;
+            frameStep, frameDelay, renderPlayButton, onPlayingChange } = this.props;
 
         if (!renderPlayButton) {
             return null;
@@ -256,11 +492,108 @@ export default class DensityChart extends PureComponent {
                 brushDomainMax={brushDomainMax}
                 frameStep={frameStep}
                 frameDelay={frameDelay}
-                moveBrush={this._moveBrush}
+                moveBrush={this._onPlayFrame}
+                onPlayingChange={onPlayingChange}
             />
         );
     }
 
+    /**
+     * Renders a button per preset, highlighting the active one.
+     *
+     * @returns {React.Element|null}
+     */
+    _renderPresets() {
+        const { presets, activePresetKey, height, onPresetClick } = this.props;
+
+        if (presets.length === 0) {
+            return null;
+        }
+
+        return (
+            <div className="fdz-css-graph-histogram-density__presets">
+                {presets.map((preset) => (
+                    <button
+                        key={preset.key}
+                        type="button"
+                        className={preset.key === activePresetKey
+                            ? "fdz-css-graph-histogram-density__preset fdz-css-graph-histogram-density__preset--active"
+                            : "fdz-css-graph-histogram-density__preset"}
+                        style={{ width: PRESET_BUTTON_WIDTH, height }}
+                        onClick={() => onPresetClick(preset)}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+        );
+    }
+
+    /**
+     * Renders small markers of the time markers and time ranges of the histogram annotations, so that they can be
+     * found when zoomed out. They are rendered under the brush, which handles the mouse events.
+     *
+     * @param {number} leftPadding
+     * @returns {React.Element|null}
+     */
+    _renderAnnotationMarkers(leftPadding) {
+        const { width, height, densityChartXScale, annotations } = this.props;
+        const xAnnotations = annotations.filter(isXAnnotation);
+
+        if (xAnnotations.length === 0) {
+            return null;
+        }
+
+        return (
+            <svg
+                className="fdz-css-graph-histogram-density__annotations"
+                width={width}
+                height={height}
+                style={{ position: "absolute", left: leftPadding, top: 0 }}
+            >
+                {xAnnotations.map((annotation) => {
+                    const position = calculateAnnotationPosition(annotation, {
+                        xScale: densityChartXScale,
+                        yScale: null,
+                        height
+                    });
+
+                    if (position === null) {
+                        return null;
+                    }
+
+                    const className = `fdz-css-graph-histogram-density__annotation-${annotation.type}`;
+                    const style = annotation.color ? { fill: annotation.color, stroke: annotation.color } : null;
+
+                    return annotation.type === "range"
+                        ? <rect key={annotation.key} className={className} {...position} style={style} />
+                        : <line key={annotation.key} className={className} {...position} style={style} />;
+                })}
+            </svg>
+        );
+    }
+
+    /**
+     * Renders the button that moves the brush back to the latest data, if it isn't following it.
+     * @returns {React.Element|null}
+     */
+    _renderJumpToLiveButton() {
+        if (typeof this.props.onJumpToLive !== "function") {
+            return null;
+        }
+
+        return (
+            <button
+                type="button"
+                className="fdz-css-graph-histogram-density__live-btn"
+                title="Jump to live"
+                onClick={this.props.onJumpToLive}
+            >
+                Live
+            </button>
+        );
+    }
+
     render() {
         let leftPadding = 0;
 
@@ -270,20 +603,26 @@ export default class DensityChart extends PureComponent {
             leftPadding = padding * 2;
         }
 
-        const densityChartCanvasStyle = { left: leftPadding };
+        // Once the canvas is transferred to the worker its size can't be changed from here, so we only set its
+        // size via css and the worker resizes the drawing buffer.
+        const isDrawnInWorker = this._canDrawInWorker();
+        const densityChartCanvasSize = isDrawnInWorker ? {} : { width, height };
+        const densityChartCanvasStyle = isDrawnInWorker ? { left: leftPadding, width, height } : { left: leftPadding };
 
         return (
             <div className="fdz-css-graph-histogram-density__wrapper" >
                 {this._renderPlayButton()}
+                {this._renderPresets()}
                 <div className="fdz-css-graph-histogram-density" style={{ position: "relative" }}>
                     <canvas
+                        key={isDrawnInWorker ? "worker-canvas" : "canvas"}
                         ref={this.densityChartRef}
                         className="fdz-css-graph-histogram-density__canvas"
-                        width={width}
-                        height={height}
+                        {...densityChartCanvasSize}
                         style={densityChartCanvasStyle}
                         aria-label="Density Chart"
                     />
+                    {this._renderAnnotationMarkers(leftPadding)}
                     <svg
                         ref={this.densityBrushRef}
                         className="fdz-css-graph-histogram-brush"
@@ -292,6 +631,7 @@ export default class DensityChart extends PureComponent {
                         style={{ position: "absolute", left: leftPadding, top: 0 }}
                         alt="Density Chart Brush"
                     />
+                    {this._renderJumpToLiveButton()}
                 </div>
             </div>
         );
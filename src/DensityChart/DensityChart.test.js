@@ -5,10 +5,11 @@ import { scaleTime } from "d3-scale";
 import DensityChart from "./DensityChart";
 import PlayButton from "./PlayButton";
 import { smallSample } from "../../stories/sampleData";
+import { drawRect, clearCanvas } from "../canvasRenderUtils";
 
 jest.mock("../canvasRenderUtils", () => ({
-    drawRect: () => {},
-    clearCanvas: () => {},
+    drawRect: jest.fn(),
+    clearCanvas: jest.fn(),
     getRenderContext: () => ({})
 }));
 
@@ -46,6 +47,10 @@ describe("_onResizeBrush", () => {
         instance = wrapper.instance();
     });
 
+    it("does not call props.onDomainChanged when mounting", () => {
+        expect(onDomainChanged).not.toHaveBeenCalled();
+    });
+
     it("does nothing if the event type is zoom", () => {
         instance._getD3Event = () => ({
             sourceEvent: {
@@ -55,7 +60,7 @@ describe("_onResizeBrush", () => {
 
         instance._onResizeBrush();
 
-        expect(onDomainChanged.mock.calls.length).toBe(2);
+        expect(onDomainChanged.mock.calls.length).toBe(0);
     });
 
     it("calls props.onDomainChanged with the selected range", () => {
@@ -68,8 +73,8 @@ describe("_onResizeBrush", () => {
 
         instance._onResizeBrush();
 
-        expect(onDomainChanged.mock.calls.length).toBe(3);
-        expect(onDomainChanged.mock.calls[2][0]).toEqual([0, 100]);
+        expect(onDomainChanged.mock.calls.length).toBe(1);
+        expect(onDomainChanged.mock.calls[0][0]).toEqual([0, 100]);
     });
 
     it("calls props.onDomainChanged with the whole range if the selection was empty", () => {
@@ -81,8 +86,129 @@ describe("_onResizeBrush", () => {
 
         instance._onResizeBrush();
 
-        expect(onDomainChanged.mock.calls.length).toBe(3);
-        expect(onDomainChanged.mock.calls[2][0]).toEqual([0, 1000]);
+        expect(onDomainChanged.mock.calls.length).toBe(1);
+        expect(onDomainChanged.mock.calls[0][0]).toEqual([0, 1000]);
+    });
+
+    it("moves the brush to the brush domain from the props when the user stops brushing", () => {
+        instance._moveBrushToBrushDomain = jest.fn();
+        instance._getD3Event = () => ({
+            type: "end",
+            sourceEvent: {
+                type: "mouseup"
+            },
+            selection: [0, 100]
+        });
+
+        instance._onResizeBrush();
+
+        expect(instance._moveBrushToBrushDomain).toHaveBeenCalledTimes(1);
+    });
+
+    it("does not move the brush at the end of a programmatic brush move", () => {
+        instance._moveBrushToBrushDomain = jest.fn();
+        instance._getD3Event = () => ({
+            type: "end",
+            sourceEvent: null,
+            selection: [0, 100]
+        });
+
+        instance._onResizeBrush();
+
+        expect(instance._moveBrushToBrushDomain).not.toHaveBeenCalled();
+    });
+
+    it("ignores the brush events of an animated brush move", () => {
+        instance.isAnimatingBrush = true;
+        instance._getD3Event = () => ({
+            type: "brush",
+            sourceEvent: null,
+            selection: [0, 100]
+        });
+
+        instance._onResizeBrush();
+
+        expect(onDomainChanged).not.toHaveBeenCalled();
+    });
+});
+
+describe("brushTransitionDuration", () => {
+    let wrapper, instance;
+
+    beforeEach(() => {
+        // Applying the proposed domain right away, like the histogram does
+        onDomainChanged = jest.fn(() => wrapper.setProps({ brushDomainMin: brushDomainMin + 1000 }));
+
+        wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+            brushTransitionDuration={250}
+        />);
+
+        instance = wrapper.instance();
+        jest.spyOn(instance, "_moveBrushToBrushDomain");
+    });
+
+    it("doesn't move the brush to the applied domain while the user brushes", () => {
+        instance._getD3Event = () => ({
+            type: "brush",
+            sourceEvent: { type: "mousemove" },
+            selection: [0, 100]
+        });
+
+        instance._onResizeBrush();
+
+        expect(onDomainChanged).toHaveBeenCalled();
+        expect(instance._moveBrushToBrushDomain).not.toHaveBeenCalled();
+    });
+
+    it("animates the brush to the applied domain when the user stops brushing", () => {
+        instance._getD3Event = () => ({
+            type: "end",
+            sourceEvent: { type: "mouseup" },
+            selection: [0, 100]
+        });
+
+        instance._onResizeBrush();
+
+        expect(instance._moveBrushToBrushDomain).toHaveBeenCalledTimes(1);
+        expect(instance._moveBrushToBrushDomain).toHaveBeenCalledWith(true);
+        expect(instance.isAnimatingBrush).toBe(true);
+    });
+
+    it("moves the brush right away when the domain changes in another way", () => {
+        wrapper.setProps({ brushDomainMax: brushDomainMax - 1000 });
+
+        expect(instance._moveBrushToBrushDomain).toHaveBeenCalledWith();
+    });
+});
+
+describe("_onPlayFrame", () => {
+    it("proposes the frame as the new domain", () => {
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+        />);
+
+        onDomainChanged.mockClear();
+
+        wrapper.instance()._onPlayFrame([0, 200]);
+
+        expect(onDomainChanged).toHaveBeenCalledWith([0, 200]);
     });
 });
 
@@ -116,6 +242,132 @@ describe("componentDidUpdate", () => {
     });
 });
 
+describe("_drawDensityChart", () => {
+    it("draws each pre-binned bucket over its interval with an opacity relative to its value", () => {
+        const buckets = [
+            { x0: 0, x1: 100, value: 4 },
+            { x0: 100, x1: 200, value: 1 }
+        ];
+        const bucketsXScale = scaleTime()
+            .domain([0, 200])
+            .range([0, 1000]);
+
+        drawRect.mockClear();
+
+        mount(<DensityChart
+            data={buckets}
+            width={1000}
+            height={50}
+            padding={10}
+            brushDomainMin={0}
+            brushDomainMax={100}
+            densityChartXScale={bucketsXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={(bucket) => bucket.x0}
+            preBinned
+        />);
+
+        expect(drawRect.mock.calls).toEqual([
+            [{}, 0, 0, 500, 50, { fillStyle: "rgba(33, 150, 243, 0.2)", globalAlpha: 1 }],
+            [{}, 500, 0, 500, 50, { fillStyle: "rgba(176, 190, 197, 0.2)", globalAlpha: 0.25 }]
+        ]);
+    });
+});
+
+describe("componentDidUpdate with appended data", () => {
+    it("only draws the appended data", () => {
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+        />);
+
+        drawRect.mockClear();
+        clearCanvas.mockClear();
+
+        wrapper.setProps({ data: [...smallSample, { timestamp: brushDomainMin + 1, total: 1 }] });
+
+        expect(clearCanvas).not.toHaveBeenCalled();
+        expect(drawRect).toHaveBeenCalledTimes(1);
+        expect(drawRect).toHaveBeenCalledWith({}, densityChartXScale(brushDomainMin + 1), 0, 2, 50, {
+            fillStyle: "rgba(33, 150, 243, 0.2)"
+        });
+    });
+});
+
+describe("worker pipeline", () => {
+    let workerPipeline;
+
+    beforeEach(() => {
+        workerPipeline = {
+            attachDensityCanvas: jest.fn(),
+            drawDensity: jest.fn()
+        };
+        HTMLCanvasElement.prototype.transferControlToOffscreen = jest.fn();
+    });
+
+    afterEach(() => {
+        delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    });
+
+    it("transfers the canvas to the worker pipeline and draws the density chart there", () => {
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+            workerPipeline={workerPipeline}
+        />);
+
+        expect(workerPipeline.attachDensityCanvas).toHaveBeenCalledWith(wrapper.find("canvas").getDOMNode());
+        expect(workerPipeline.drawDensity).toHaveBeenCalledWith({
+            width,
+            height: 50,
+            domainMin: brushDomainMin,
+            domainMax: brushDomainMax,
+            brushDomainMin,
+            brushDomainMax,
+            color: "rgba(33, 150, 243, 0.2)",
+            fadedColor: "rgba(176, 190, 197, 0.2)"
+        });
+        expect(wrapper.find("canvas").prop("width")).toBe(undefined);
+    });
+
+    it("draws the density chart in a new canvas if the worker pipeline fails", () => {
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+            workerPipeline={workerPipeline}
+        />);
+        const transferredCanvas = wrapper.find("canvas").getDOMNode();
+
+        clearCanvas.mockClear();
+        wrapper.setProps({ workerPipeline: null });
+
+        expect(wrapper.find("canvas").getDOMNode()).not.toBe(transferredCanvas);
+        expect(wrapper.find("canvas").prop("width")).toBe(width);
+        expect(clearCanvas).toHaveBeenCalled();
+    });
+});
+
 describe("render", () => {
     it("does a baseline render", () => {
         expect(mount(<DensityChart
@@ -131,6 +383,26 @@ describe("render", () => {
         />)).toMatchSnapshot();
     });
 
+    it("renders the jump to live button if onJumpToLive is passed", () => {
+        const onJumpToLive = jest.fn();
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            onJumpToLive={onJumpToLive}
+            xAccessor={xAccessor}
+        />);
+
+        wrapper.find(".fdz-css-graph-histogram-density__live-btn").simulate("click");
+
+        expect(onJumpToLive).toHaveBeenCalled();
+    });
+
     it("doesn't render the play button if renderPlayButton is false", () => {
         expect(mount(<DensityChart
             data={smallSample}
@@ -145,6 +417,59 @@ describe("render", () => {
             renderPlayButton={false}
         />).find(PlayButton).length).toBe(0);
     });
+
+    it("renders a marker per time marker and time range annotation", () => {
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+            annotations={[
+                { key: "deploy", type: "x", value: brushDomainMin },
+                { key: "incident", type: "range", from: brushDomainMin, to: brushDomainMax },
+                { key: "sla", type: "y", value: 1 }
+            ]}
+        />);
+
+        expect(wrapper.find("line.fdz-css-graph-histogram-density__annotation-x").prop("x1")).toBe(0);
+        expect(wrapper.find("rect.fdz-css-graph-histogram-density__annotation-range").prop("width")).toBe(width);
+        expect(wrapper.find(".fdz-css-graph-histogram-density__annotations").children().length).toBe(2);
+    });
+
+    it("renders a button per preset, highlighting the active one", () => {
+        const onPresetClick = jest.fn();
+        const presets = [
+            { key: "hour", label: "1h", range: 60 * 60 * 1000 },
+            { key: "all", label: "All", range: Infinity }
+        ];
+        const wrapper = mount(<DensityChart
+            data={smallSample}
+            width={width}
+            height={50}
+            padding={10}
+            brushDomainMax={brushDomainMax}
+            brushDomainMin={brushDomainMin}
+            densityChartXScale={densityChartXScale}
+            onDomainChanged={onDomainChanged}
+            xAccessor={xAccessor}
+            presets={presets}
+            activePresetKey="all"
+            onPresetClick={onPresetClick}
+        />);
+        const buttons = wrapper.find(".fdz-css-graph-histogram-density__preset");
+
+        expect(buttons.map((button) => button.text())).toEqual(["1h", "All"]);
+        expect(buttons.at(1).hasClass("fdz-css-graph-histogram-density__preset--active")).toBe(true);
+
+        buttons.at(0).simulate("click");
+
+        expect(onPresetClick).toHaveBeenCalledWith(presets[0]);
+    });
 });
 
 afterEach(() => {
@@ -32,11 +32,13 @@ export default class PlayButton extends PureComponent {
         brushDomainMin: PropTypes.number.isRequired,
         densityChartXScale: PropTypes.func.isRequired,
         moveBrush: PropTypes.func.isRequired,
+        onPlayingChange: PropTypes.func,
         frameStep: PropTypes.number,
         frameDelay: PropTypes.number
     };
 
     static defaultProps = {
+        onPlayingChange: () => {},
         frameStep: 0.025,
         frameDelay: 500
     };
@@ -69,6 +71,8 @@ export default class PlayButton extends PureComponent {
             this.frameEnd = brushedMaxRange;
         }
 
+        this.props.onPlayingChange(true);
+
         this.setState({
             play: true
         }, () => this._playLapseAtInterval(frameStart, playEnd, playStep));
@@ -140,6 +144,8 @@ export default class PlayButton extends PureComponent {
         this.setState({
             play: false
         }, () => clearInterval(this.playInterval));
+
+        this.props.onPlayingChange(false);
     }
 
     render() {
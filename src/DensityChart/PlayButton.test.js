@@ -84,6 +84,23 @@ describe("_playFrame", () => {
     });
 });
 
+describe("onPlayingChange", () => {
+    it("notifies when it starts and stops playing", () => {
+        const onPlayingChange = jest.fn();
+
+        wrapper.setProps({ onPlayingChange });
+
+        instance._onClickPlay();
+
+        expect(onPlayingChange).toHaveBeenLastCalledWith(true);
+
+        instance._onClickStop();
+
+        expect(onPlayingChange).toHaveBeenLastCalledWith(false);
+        expect(onPlayingChange).toHaveBeenCalledTimes(2);
+    });
+});
+
 describe("render", () => {
     it("does a baseline render", () => {
         expect(wrapper).toMatchSnapshot();
@@ -1,17 +1,30 @@
 import React, { PureComponent } from "react";
 import PropTypes from "prop-types";
-import { max as d3Max } from "d3-array";
-import { scaleTime, scaleLinear } from "d3-scale";
+import { max as d3Max, min as d3Min } from "d3-array";
+import { scaleLinear, scaleOrdinal } from "d3-scale";
 import { event as d3Event, select as d3Select } from "d3-selection";
-import { axisBottom as d3AxisBottom, axisLeft as d3AxisLeft } from "d3-axis";
-import { timeMillisecond } from "d3-time";
+import { axisBottom as d3AxisBottom, axisLeft as d3AxisLeft, axisRight as d3AxisRight } from "d3-axis";
 import { withSize } from "react-sizeme";
 import {
     histogramDefaultYAxisFormatter,
     multiDateFormat,
+    createMultiDateFormat,
+    createDefaultYAxisFormatter,
+    createDefaultLinearXAxisFormatter,
     isHistogramDataEqual,
     dateToTimestamp,
-    calculateChartSizesAndDomain
+    calculateChartSizesAndDomain,
+    isBrushDomainControlled,
+    isObject,
+    isDataAppended,
+    isFollowLatestEnabled,
+    isHeaderEnabled,
+    calculateLatestBrushTimeDomain,
+    calculatePresetBrushTimeDomain,
+    resolveBinInterval,
+    getSeriesKeys,
+    getDataAccessors,
+    havePropsChanged
 } from "../utils";
 import {
     X_AXIS_PADDING,
@@ -20,12 +33,50 @@ import {
     BAR_TOOLTIP_ARROW_HEIGHT,
     MIN_ZOOM_VALUE,
     MIN_TOTAL_HEIGHT,
-    PADDING
+    PADDING,
+    DEFAULT_SERIES_COLORS,
+    DEFAULT_BAR_COLOR,
+    DEFAULT_BAR_HOVER_COLOR,
+    DEFAULT_NEGATIVE_BAR_COLOR,
+    ANNOTATION_LABEL_PADDING,
+    UNSELECTED_BAR_OPACITY,
+    ZOOM_HISTORY_GESTURE_DELAY,
+    SNAP_TRANSITION_DURATION,
+    HEADER_HEIGHT
 } from "../constants";
-import histogramBinCalculator from "./histogramBinCalculator";
-import { calculatePositionAndDimensions } from "./histogramBarGeometry";
+import { clearCanvas, drawRect, getRenderContext } from "../canvasRenderUtils";
+import { createTimeScale, toZonedTimestamp, fromZonedTimestamp } from "../timeZoneUtils";
+import { calculateAnnotationPosition, isXAnnotation } from "../annotationUtils";
+import { snapBrushedDomain } from "../snapUtils";
+import {
+    isWorkerPipelineSupported,
+    createWorkerPipeline,
+    extractColumns,
+    toHistogramBins
+} from "../workerPipeline";
+import histogramBinCalculator, {
+    preBinnedHistogramBinCalculator,
+    appendToHistogramBins,
+    getBinElements
+} from "./histogramBinCalculator";
+import {
+    calculatePositionAndDimensions,
+    calculateStackedSegmentsPositionAndDimensions,
+    calculateGroupedSegmentsPositionAndDimensions
+} from "./histogramBarGeometry";
+import { createHistogramYScale } from "./histogramYScale";
+import { calculateOverlayPoints, createLinePath } from "./histogramOverlays";
+import { isBarSelected, updateSelectedBins } from "./histogramSelection";
+import {
+    EMPTY_ZOOM_HISTORY,
+    pushZoomHistory,
+    goBackInZoomHistory,
+    goForwardInZoomHistory
+} from "./histogramZoomHistory";
 import { zoom as d3Zoom, zoomIdentity as d3ZoomIdentity } from "d3-zoom";
+import { brushX } from "d3-brush";
 import DensityChart from "../DensityChart/DensityChart";
+import IntervalHeader from "../IntervalHeader/IntervalHeader";
 
 /**
  * Histogram
@@ -41,43 +92,133 @@ import DensityChart from "../DensityChart/DensityChart";
 export class Histogram extends PureComponent {
     static propTypes = {
         data: PropTypes.array.isRequired,
+        preBinned: PropTypes.bool,
         size: PropTypes.shape({
             width: PropTypes.number.isRequired
         }).isRequired,
         defaultBarCount: PropTypes.number,
+        xScaleType: PropTypes.oneOf(["time", "linear"]),
+        binInterval: PropTypes.func,
+        timeZone: PropTypes.string,
+        locale: PropTypes.shape({
+            time: PropTypes.object,
+            number: PropTypes.object
+        }),
         xAccessor: PropTypes.func.isRequired,
         xAxisFormatter: PropTypes.func,
         yAccessor: PropTypes.func.isRequired,
+        aggregate: PropTypes.oneOfType([
+            PropTypes.oneOf(["sum", "count", "mean", "median", "max", "min", "p95", "distinct"]),
+            PropTypes.func
+        ]),
+        seriesAccessor: PropTypes.func,
+        seriesColors: PropTypes.arrayOf(PropTypes.string),
+        seriesLayout: PropTypes.oneOf(["stacked", "grouped"]),
+        overlays: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            transform: PropTypes.oneOfType([PropTypes.oneOf(["cumulative", "movingAverage"]), PropTypes.func]),
+            windowSize: PropTypes.number,
+            data: PropTypes.array,
+            xAccessor: PropTypes.func,
+            yAccessor: PropTypes.func,
+            color: PropTypes.string,
+            yAxis: PropTypes.oneOf(["left", "right"])
+        })),
+        annotations: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            type: PropTypes.oneOf(["y", "x", "range"]).isRequired,
+            value: PropTypes.oneOfType([PropTypes.number, PropTypes.instanceOf(Date)]),
+            from: PropTypes.oneOfType([PropTypes.number, PropTypes.instanceOf(Date)]),
+            to: PropTypes.oneOfType([PropTypes.number, PropTypes.instanceOf(Date)]),
+            label: PropTypes.string,
+            tooltip: PropTypes.string,
+            color: PropTypes.string
+        })),
         spaceBetweenCharts: PropTypes.number,
         barOptions: PropTypes.object,
+        renderer: PropTypes.oneOf(["svg", "canvas"]),
         yAxisTicks: PropTypes.number,
+        yScaleType: PropTypes.oneOf(["linear", "log", "sqrt", "symlog"]),
         yAxisFormatter: PropTypes.func,
         brushDensityChartColor: PropTypes.string,
         brushDensityChartFadedColor: PropTypes.string,
         tooltipBarCustomization: PropTypes.func,
+        onBarClick: PropTypes.func,
+        zoomOnBarClick: PropTypes.bool,
+        brushToZoom: PropTypes.bool,
+        brushModifierKey: PropTypes.oneOf(["shift", "ctrl", "meta"]),
+        selectedBins: PropTypes.arrayOf(PropTypes.shape({
+            min: PropTypes.number.isRequired,
+            max: PropTypes.number.isRequired
+        })),
+        onSelectionChange: PropTypes.func,
         onIntervalChange: PropTypes.func,
+        brushDomain: PropTypes.shape({
+            min: PropTypes.number.isRequired,
+            max: PropTypes.number.isRequired
+        }),
+        onBrushDomainChange: PropTypes.func,
+        onRequestData: PropTypes.func,
+        followLatest: PropTypes.number,
+        requestDataDelay: PropTypes.number,
         minZoomUnit: PropTypes.number,
+        snapTo: PropTypes.oneOfType([PropTypes.oneOf(["bins"]), PropTypes.func]),
         frameStep: PropTypes.number,
         frameDelay: PropTypes.number,
-        renderPlayButton: PropTypes.bool
+        renderPlayButton: PropTypes.bool,
+        renderZoomToolbar: PropTypes.bool,
+        renderIntervalHeader: PropTypes.bool,
+        presets: PropTypes.arrayOf(PropTypes.shape({
+            key: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+            range: PropTypes.oneOfType([PropTypes.number, PropTypes.func]).isRequired
+        })),
+        useWorker: PropTypes.bool
     };
 
     static defaultProps = {
         data: [],
+        preBinned: false,
         height: MIN_TOTAL_HEIGHT,
         padding: 10,
         defaultBarCount: 18,
+        xScaleType: "time",
+        binInterval: null,
+        timeZone: null,
+        locale: null,
         barOptions: {
             margin: 1
         },
         spaceBetweenCharts: 10,
+        renderer: "svg",
         yAxisTicks: 3,
+        yScaleType: "linear",
+        aggregate: "sum",
         xAxisFormatter: multiDateFormat,
         yAxisFormatter: histogramDefaultYAxisFormatter,
+        seriesAccessor: null,
+        seriesColors: DEFAULT_SERIES_COLORS,
+        seriesLayout: "stacked",
+        overlays: [],
+        annotations: [],
         tooltipBarCustomization: null,
+        onBarClick: null,
+        zoomOnBarClick: false,
+        brushToZoom: false,
+        brushModifierKey: "shift",
+        selectedBins: null,
+        onSelectionChange: null,
         onIntervalChange: () => {},
+        onRequestData: null,
+        followLatest: null,
+        requestDataDelay: 300,
         minZoomUnit: 1000,
-        renderPlayButton: true
+        snapTo: null,
+        renderPlayButton: true,
+        renderZoomToolbar: false,
+        renderIntervalHeader: false,
+        presets: [],
+        useWorker: false
     };
 
     static getDerivedStateFromProps(props, state) {
@@ -93,7 +234,22 @@ export class Histogram extends PureComponent {
         }
 
         const nextState = calculateChartSizesAndDomain(props, state.data, state.brushTimeDomain,
-            state.brushDomainFromProps);
+            state.brushDomainFromProps, state.overallTimeDomain);
+
+        // While following the latest data the brushed domain is always the window at the end of the data
+        if (state.isFollowingLatest && isFollowLatestEnabled(props)) {
+            nextState.brushTimeDomain = calculateLatestBrushTimeDomain(
+                nextState.overallTimeDomain || state.overallTimeDomain,
+                props.followLatest
+            );
+        }
+
+        // When the window slides, e.g., to follow the latest data, the requested data is of the previous window,
+        // so the data from props is used until the data of the new window is requested
+        if (nextState.brushTimeDomain && (nextState.brushTimeDomain.min !== state.brushTimeDomain.min
+            || nextState.brushTimeDomain.max !== state.brushTimeDomain.max)) {
+            nextState.requestedData = null;
+        }
 
         return Object.keys(nextState).length > 0 ? nextState : null;
     }
@@ -102,42 +258,228 @@ export class Histogram extends PureComponent {
         super(props);
 
         this.histogramChartRef = React.createRef();
+        this.histogramCanvasRef = React.createRef();
         this.histogramXAxisRef = React.createRef();
         this.histogramYAxisRef = React.createRef();
+        this.histogramRightYAxisRef = React.createRef();
+        this.histogramBrushRef = React.createRef();
 
         // We need to compute the widths and domain right at the constructor because we
         // need them to compute the scales correctly, which are needed in the children
         this.state = Object.assign({
             timeHistogramBars: [],
+            overlayLines: [],
+            selectedBins: [],
             selectedBarPosition: {},
-            showHistogramBarTooltip: false
+            showHistogramBarTooltip: false,
+            isLoadingData: false,
+            requestedData: null,
+            isFollowingLatest: isFollowLatestEnabled(props),
+            isBrushModifierKeyPressed: false,
+            zoomHistory: EMPTY_ZOOM_HISTORY,
+            activePresetKey: null
         }, calculateChartSizesAndDomain(props, [], {
             max: -Infinity,
             min: Infinity
         }));
 
         this._createScaleAndZoom();
+        this._createSeriesColorScale();
+
+        // Increased on every brush domain change, so that we know when a data request is stale
+        this.dataRequestId = 0;
+
+        // When the brushed domain last changed, so that the changes of a gesture are a single zoom history entry
+        this.lastZoomHistoryChangeTime = 0;
+
+        // The zoom history navigation being applied, if any, and the one proposed to the parent when controlled
+        this.zoomHistoryNavigation = null;
+        this.proposedZoomHistoryNavigation = null;
+
+        // The brushed domain when the play button started playing, while it is playing
+        this.playStartBrushDomain = null;
+
+        // When the browser has no workers (e.g., jsdom) we fallback to calculating everything in the main thread.
+        // The pre-aggregated buckets are already few, so they are never sent to a worker.
+        this.workerPipeline = props.useWorker && !props.preBinned && isWorkerPipelineSupported()
+            ? createWorkerPipeline(this._onWorkerPipelineError)
+            : null;
     }
 
     componentDidMount() {
+        this._sendDataToWorkerPipeline();
         this._setUpZoomAndChartScales();
+
+        if (this.props.brushToZoom) {
+            this._listenToModifierKey(true);
+        }
+
+        if (isBrushDomainControlled(this.props) || this._isFollowingLatest()) {
+            this._applyZoomTransformForBrushDomain(this.state.brushTimeDomain);
+        }
+
+        if (this.props.data.length > 0) {
+            this._notifyIntervalChange(this.state.brushTimeDomain.min, this.state.brushTimeDomain.max);
+        }
     }
 
-    componentDidUpdate(prevProps) {
-        const hasWidthChanged = prevProps.size.width !== this.props.size.width;
-        const hasDataChanged = prevProps.data.length !== this.props.data.length
-            || !isHistogramDataEqual(this.props.xAccessor, this.props.yAccessor, prevProps.data, this.props.data);
-        const hasAcessorsChanged = this.props.xAccessor !== prevProps.xAccessor
-            || this.props.yAccessor !== prevProps.yAccessor;
+    componentDidUpdate(prevProps, prevState) {
+        const {
+            isOnlyDataAppended,
+            hasDataChanged,
+            haveBarPropsChanged,
+            shouldRecreateScales
+        } = this._calculateChanges(prevProps);
 
-        if (hasWidthChanged || hasDataChanged || hasAcessorsChanged) {
-            this._createScaleAndZoom();
-            this._setUpZoomAndChartScales();
+        if (hasDataChanged || havePropsChanged(this.props, prevProps, ["seriesAccessor", "seriesColors"])) {
+            this._createSeriesColorScale();
+        }
+
+        if (isOnlyDataAppended) {
+            this._onDataAppended(prevProps, prevState);
+        } else if (hasDataChanged || haveBarPropsChanged) {
+            this._sendDataToWorkerPipeline();
+        }
+
+        this._updateScalesIfNeeded(prevProps, shouldRecreateScales);
+
+        if (this.props.brushToZoom !== prevProps.brushToZoom) {
+            this._onBrushToZoomUpdated();
         }
+
+        if (isBrushDomainControlled(this.props)) {
+            this._onControlledBrushDomainUpdated(prevProps, shouldRecreateScales);
+        } else if (this._isFollowingLatest()) {
+            this._onFollowLatestUpdated(prevProps, shouldRecreateScales);
+        }
+
+        this._redrawHistogramCanvasIfNeeded(prevProps, prevState);
     }
 
     componentWillUnmount() {
         this.zoom.on("zoom", null); // This is the way to unbind events in d3
+        this.zoom.on("end", null);
+        this.histogramBrush.on("end", null);
+
+        this._listenToModifierKey(false);
+
+        if (this.workerPipeline !== null) {
+            this.workerPipeline.terminate();
+        }
+
+        // Any pending data request becomes stale, so its response is ignored
+        clearTimeout(this.requestDataTimeout);
+        this.dataRequestId += 1;
+    }
+
+    /**
+     * Keeps the zoom transform and the histogram scales in sync with the brush domain received via props
+     * when the component is controlled.
+     *
+     * @param {Object} prevProps
+     * @param {boolean} haveScalesBeenRecreated
+     * @private
+     */
+    _onControlledBrushDomainUpdated(prevProps, haveScalesBeenRecreated) {
+        const { brushDomain } = this.props;
+        const prevBrushDomain = prevProps.brushDomain || {};
+        const hasBrushDomainChanged = brushDomain.min !== prevBrushDomain.min
+            || brushDomain.max !== prevBrushDomain.max;
+
+        if (!hasBrushDomainChanged && !haveScalesBeenRecreated) {
+            return;
+        }
+
+        this._applyZoomTransformForBrushDomain(brushDomain);
+
+        if (hasBrushDomainChanged) {
+            this._updateControlledZoomHistory(prevProps.brushDomain);
+
+            this.setState({
+                showHistogramBarTooltip: false,
+                requestedData: null
+            }, this._updateHistogramChartScales);
+
+            this._notifyIntervalChange(brushDomain.min, brushDomain.max);
+            this._scheduleDataRequest(brushDomain.min, brushDomain.max);
+        }
+    }
+
+    /**
+     * Keeps the zoom transform and the histogram scales in sync with the window at the end of the data while
+     * following the latest data. The window itself is calculated in `getDerivedStateFromProps`.
+     *
+     * @param {Object} prevProps
+     * @param {boolean} haveScalesBeenRecreated
+     * @private
+     */
+    _onFollowLatestUpdated(prevProps, haveScalesBeenRecreated) {
+        const hasDurationChanged = prevProps.followLatest !== this.props.followLatest;
+
+        if (!hasDurationChanged && !haveScalesBeenRecreated) {
+            return;
+        }
+
+        const { brushTimeDomain } = this.state;
+
+        this._applyZoomTransformForBrushDomain(brushTimeDomain);
+
+        if (hasDurationChanged) {
+            this._updateHistogramChartScales();
+            this._notifyIntervalChange(brushTimeDomain.min, brushTimeDomain.max);
+        }
+    }
+
+    /**
+     * Handles new data being appended to the previous data. The overall domain was already extended, so we
+     * update the scales that depend on it and add the new data to the bars that were already calculated.
+     *
+     * @param {Object} prevProps
+     * @param {Object} prevState
+     * @private
+     */
+    _onDataAppended(prevProps, prevState) {
+        const { data, xAccessor, yAccessor, seriesAccessor } = this.props;
+        const appendedData = data.slice(prevProps.data.length);
+        const { brushTimeDomain, overallTimeDomain } = this.state;
+
+        if (this.workerPipeline !== null) {
+            this.workerPipeline.appendData(extractColumns(appendedData, xAccessor, yAccessor, seriesAccessor,
+                this.seriesKeys));
+        }
+
+        if (overallTimeDomain.min !== prevState.overallTimeDomain.min
+            || overallTimeDomain.max !== prevState.overallTimeDomain.max) {
+            this._updateScaleAndZoomDomain();
+        }
+
+        this._applyZoomTransformForBrushDomain(brushTimeDomain);
+
+        const hasBrushTimeDomainChanged = brushTimeDomain.min !== prevState.brushTimeDomain.min
+            || brushTimeDomain.max !== prevState.brushTimeDomain.max;
+
+        this._updateHistogramBarsWithAppendedData(appendedData, prevState.brushTimeDomain);
+
+        if (hasBrushTimeDomainChanged && !isBrushDomainControlled(this.props)) {
+            this._notifyIntervalChange(brushTimeDomain.min, brushTimeDomain.max);
+            this._scheduleDataRequest(brushTimeDomain.min, brushTimeDomain.max);
+        }
+    }
+
+    /**
+     * Handles `brushToZoom` being enabled or disabled, applying the brush and listening to the modifier key only
+     * while it is enabled.
+     *
+     * @private
+     */
+    _onBrushToZoomUpdated() {
+        this._listenToModifierKey(this.props.brushToZoom);
+
+        if (this.props.brushToZoom) {
+            this._setUpHistogramBrush();
+        } else {
+            this.setState({ isBrushModifierKeyPressed: false });
+        }
     }
 
     /**
@@ -147,17 +489,8 @@ export class Histogram extends PureComponent {
      * @private
      */
     _onDensityChartDomainChanged = (brushSelection) => {
-        const brushSelectionMin = brushSelection[0];
-        const brushSelectionMax = brushSelection[1];
-
         // converts for a time-scale
-        const brushedDomain = brushSelection.map(this.densityChartXScale.invert);
-
-        d3Select(this.histogramChartRef.current).call(this.zoom.transform, d3ZoomIdentity
-            .scale(this.state.densityChartDimensions.width / (brushSelectionMax - brushSelectionMin))
-            .translate(-brushSelection[0], 0));
-
-        this._updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain);
+        this._zoomToBrushedDomain(brushSelection.map(this.densityChartXScale.invert));
     };
 
     /**
@@ -174,26 +507,129 @@ export class Histogram extends PureComponent {
             return;
         }
 
+        // The zoom transforms we apply programmatically to reflect the controlled brush domain
+        // should not be proposed back to the parent.
+        if (this.isApplyingZoomTransform) {
+            return;
+        }
+
         const { transform } = d3Event;
 
         // We apply the zoom transformation to rescale densityChartScale.
         // Then we get the new domain, this is the new domain for the histogram x scale
-        const brushedDomain = transform.rescaleX(this.densityChartXScale).domain();
+        const brushedDomain = transform.rescaleX(this.densityChartXScale).domain().map(dateToTimestamp);
 
         // if the max value of the brushed domain is greater than the max value of the overallTimeDomain imposed
         // by the data we should avoid the scrolling in that area because it doesn't make any sense.
         if (brushedDomain[1] >= this.state.overallTimeDomain.max) {
             // Here we get the delta of the brush domain
-            const brushDomainInterval = brushedDomain[1].getTime() - brushedDomain[0].getTime();
+            const brushDomainInterval = brushedDomain[1] - brushedDomain[0];
 
             // And apply that in this min value of the brush domain in order to keep that interval
-            brushedDomain[0] = timeMillisecond(this.state.overallTimeDomain.max - brushDomainInterval);
-            brushedDomain[1] = timeMillisecond(this.state.overallTimeDomain.max);
+            brushedDomain[0] = this.state.overallTimeDomain.max - brushDomainInterval;
+            brushedDomain[1] = this.state.overallTimeDomain.max;
         }
 
         this._updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain);
     };
 
+    /**
+     * Handles the end of a zoom gesture. When controlled, the parent may have rejected or changed the
+     * domains we proposed during the gesture, so we move the zoom back to the brush domain from props.
+     *
+     * @private
+     */
+    _onZoomEnd = () => {
+        if (!d3Event.sourceEvent || this.isApplyingZoomTransform || !isBrushDomainControlled(this.props)) {
+            return;
+        }
+
+        this._applyZoomTransformForBrushDomain(this.props.brushDomain);
+    };
+
+    /**
+     * Handles the end of a brush gesture on the histogram chart, zooming to the brushed range.
+     *
+     * @private
+     */
+    _onHistogramBrushEnd = () => {
+        // Clearing the brush once we zoom also ends the brush, but without a source event
+        if (!d3Event.sourceEvent) {
+            return;
+        }
+
+        this._onHistogramRangeBrushed(d3Event.selection);
+    };
+
+    /**
+     * Zooms to the range brushed on the histogram chart and clears the brush.
+     *
+     * @param {Array.<number>|null} selection The brushed range in pixels, or null if there is none.
+     * @private
+     */
+    _onHistogramRangeBrushed(selection) {
+        // Clicking without dragging clears the brush instead of brushing a range
+        if (!Array.isArray(selection)) {
+            return;
+        }
+
+        d3Select(this.histogramBrushRef.current).call(this.histogramBrush.move, null);
+
+        // Like with the bars, the edges of the chart may be before or after the data
+        const { min, max } = this.state.overallTimeDomain;
+        const [ brushedMin, brushedMax ] = selection.map((x) => dateToTimestamp(this.histogramChartXScale.invert(x)));
+
+        this._zoomToBrushedDomain([ Math.max(brushedMin, min), Math.min(brushedMax, max) ]);
+    }
+
+    /**
+     * Keeps track of whenever the `brushModifierKey` is pressed, which switches dragging the histogram chart
+     * from panning to brushing.
+     *
+     * @param {KeyboardEvent} evt
+     * @private
+     */
+    _onModifierKeyChange = (evt) => {
+        const { brushToZoom, brushModifierKey } = this.props;
+
+        if (!brushToZoom || brushModifierKey === null) {
+            return;
+        }
+
+        this.setState({ isBrushModifierKeyPressed: evt[`${brushModifierKey}Key`] });
+    };
+
+    /**
+     * Handles the window losing the focus, in which case we won't be notified when the modifier key is released.
+     *
+     * @private
+     */
+    _onWindowBlur = () => {
+        this.setState({ isBrushModifierKeyPressed: false });
+    };
+
+    /**
+     * Handles the "jump to live" button. Moves the brushed domain to the window at the end of the data and
+     * resumes following the latest data.
+     *
+     * @private
+     */
+    _onJumpToLive = () => {
+        // The window itself is calculated in `getDerivedStateFromProps` once we are following the latest data
+        this.setState({
+            isFollowingLatest: true,
+            showHistogramBarTooltip: false,
+            requestedData: null
+        }, () => {
+            const { brushTimeDomain } = this.state;
+
+            this._applyZoomTransformForBrushDomain(brushTimeDomain);
+            this._updateHistogramChartScales();
+            this._notifyIntervalChange(brushTimeDomain.min, brushTimeDomain.max);
+            this._scheduleDataRequest(brushTimeDomain.min, brushTimeDomain.max);
+        });
+    };
+
     /**
      * Handles the mouse entering an histogram bar.
      *
@@ -201,7 +637,7 @@ export class Histogram extends PureComponent {
      * @private
      */
     _onMouseEnterHistogramBar = (evt) => {
-        const index = +evt.currentTarget.getAttribute("dataindex"); // The `+` converts "1" to 1
+        const index = +evt.currentTarget.getAttribute("data-index"); // The `+` converts "1" to 1
 
         // In order to access into the information in the `SyntheticEvent` inside of the setState callback it inspect
         // necessary store the currentTarget value in a constant. https://reactjs.org/docs/events.html#event-pooling
@@ -216,126 +652,1414 @@ export class Histogram extends PureComponent {
                 selectedBarPosition: currentTarget.getBoundingClientRect()
             };
         });
-    };
+    };
+
+    /**
+     * Handles the mouse leaving an histogram bar.
+     * @private
+     */
+    _onMouseLeaveHistogramBar = () => {
+        this.setState({
+            showHistogramBarTooltip: false
+        });
+    };
+
+    /**
+     * Handles a click on an histogram bar.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onClickHistogramBar = (evt) => {
+        const index = +evt.currentTarget.getAttribute("data-index"); // The `+` converts "1" to 1
+
+        this._onHistogramBarClicked(index, evt);
+    };
+
+    /**
+     * Handles a click on the histogram chart when the bars are rendered in a canvas, finding the clicked bar
+     * like when the mouse moves.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onClickHistogramCanvas = (evt) => {
+        const chartPosition = evt.currentTarget.getBoundingClientRect();
+        const hitArea = this._getHistogramBarHitArea(evt.clientX - chartPosition.left, evt.clientY - chartPosition.top);
+
+        if (hitArea !== null) {
+            this._onHistogramBarClicked(hitArea.index, evt);
+        }
+    };
+
+    /**
+     * Calls the `onBarClick` prop with the clicked bar, updates the selection if it is enabled and, with
+     * `zoomOnBarClick`, zooms to the interval of the bar.
+     *
+     * @param {number} index
+     * @param {Object} evt
+     * @private
+     */
+    _onHistogramBarClicked(index, evt) {
+        const { onBarClick, zoomOnBarClick } = this.props;
+        const bar = this.state.timeHistogramBars[index];
+
+        if (typeof onBarClick === "function") {
+            onBarClick(bar, evt);
+        }
+
+        if (this._isSelectionEnabled()) {
+            this._updateSelection(index, evt);
+        }
+
+        // Double clicking a bar zooms into it once, so the second click is ignored, and so is the double click
+        // that follows it (see `_onDoubleClickHistogramChart`)
+        if (zoomOnBarClick && evt.detail > 1) {
+            this.isBarDoubleClicked = true;
+        } else if (zoomOnBarClick) {
+            // The first and last bars may start before or end after the data, since the domain of the bars is nice
+            const { min, max } = this.state.overallTimeDomain;
+
+            this._zoomToBrushedDomain([
+                Math.max(dateToTimestamp(bar.x0), min),
+                Math.min(dateToTimestamp(bar.x1), max)
+            ]);
+        }
+    }
+
+    /**
+     * Handles the play button starting or stopping playing. Its frames aren't recorded in the zoom history,
+     * instead the whole play run is a single entry.
+     *
+     * @param {boolean} isPlaying
+     * @private
+     */
+    _onPlayingChange = (isPlaying) => {
+        if (isPlaying) {
+            this.playStartBrushDomain = this.state.brushTimeDomain;
+            return;
+        }
+
+        const { playStartBrushDomain } = this;
+        const { min, max } = this.state.brushTimeDomain;
+
+        this.playStartBrushDomain = null;
+        this.lastZoomHistoryChangeTime = 0;
+        this._recordZoomHistory(playStartBrushDomain, min, max);
+    };
+
+    /**
+     * Handles a click on a preset button, zooming to the brushed domain of the preset and highlighting it until
+     * the brushed domain is changed in any other way.
+     *
+     * @param {Object} preset
+     * @private
+     */
+    _onPresetClick = (preset) => {
+        if (this.props.data.length === 0) {
+            return;
+        }
+
+        const { min, max } = calculatePresetBrushTimeDomain(preset, this.state.overallTimeDomain);
+
+        this.isApplyingPreset = true;
+        this._zoomToBrushedDomain([ min, max ]);
+        this.isApplyingPreset = false;
+
+        this.setState({ activePresetKey: preset.key });
+    };
+
+    /**
+     * Handles the brushed domain being edited in the interval header. The typed values are exact, so they
+     * aren't snapped.
+     *
+     * @param {Array.<number>} brushedDomain
+     * @private
+     */
+    _onIntervalHeaderDomainChanged = (brushedDomain) => {
+        this.isApplyingIntervalHeader = true;
+        this._zoomToBrushedDomain(brushedDomain);
+        this.isApplyingIntervalHeader = false;
+    };
+
+    /**
+     * Handles a double click on the histogram chart, which resets the zoom unless a bar was double clicked
+     * with `zoomOnBarClick`.
+     *
+     * @private
+     */
+    _onDoubleClickHistogramChart = () => {
+        if (this.isBarDoubleClicked) {
+            this.isBarDoubleClicked = false;
+            return;
+        }
+
+        this.resetZoom();
+    };
+
+    /**
+     * Handles the worker pipeline failing to load or run, in which case the worker is already terminated
+     * and the bins are calculated in the main thread from now on.
+     *
+     * @private
+     */
+    _onWorkerPipelineError = () => {
+        this.workerPipeline = null;
+
+        this._updateHistogramChartScales();
+    };
+
+    /**
+     * Handles the mouse moving over the histogram chart when the bars are rendered in a canvas. Since
+     * there are no elements per bar we need to find the bar under the mouse ourselves.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onMouseMoveHistogramCanvas = (evt) => {
+        const chartPosition = evt.currentTarget.getBoundingClientRect();
+        const hitArea = this._getHistogramBarHitArea(evt.clientX - chartPosition.left, evt.clientY - chartPosition.top);
+
+        if (hitArea === null) {
+            if (this.state.showHistogramBarTooltip) {
+                this._onMouseLeaveHistogramBar();
+            }
+
+            return;
+        }
+
+        const { showHistogramBarTooltip, currentBar, timeHistogramBars } = this.state;
+
+        if (showHistogramBarTooltip && currentBar === timeHistogramBars[hitArea.index]) {
+            return;
+        }
+
+        this.setState((state) => ({
+            showHistogramBarTooltip: true,
+            currentBar: state.timeHistogramBars[hitArea.index],
+            selectedBarPosition: {
+                left: chartPosition.left + hitArea.x,
+                top: chartPosition.top + hitArea.y,
+                width: hitArea.width
+            }
+        }));
+    };
+
+    /**
+     * Goes back to the previous brushed domain in the zoom history, if there is one.
+     */
+    undo() {
+        this._navigateZoomHistory(goBackInZoomHistory);
+    }
+
+    /**
+     * Goes forward to the brushed domain that was gone back from in the zoom history, if there is one.
+     */
+    redo() {
+        this._navigateZoomHistory(goForwardInZoomHistory);
+    }
+
+    /**
+     * Zooms out to the whole data. Like any other zoom, it can be undone.
+     */
+    resetZoom() {
+        if (this.props.data.length === 0) {
+            return;
+        }
+
+        const { min, max } = this.state.overallTimeDomain;
+
+        this.isResettingZoom = true;
+        this._zoomToBrushedDomain([ min, max ]);
+        this.isResettingZoom = false;
+    }
+
+    /**
+     * Zooms to the brushed domain returned by the given zoom history navigation, without recording it as a new
+     * zoom history entry.
+     *
+     * @param {function} navigate Either `goBackInZoomHistory` or `goForwardInZoomHistory`.
+     * @private
+     */
+    _navigateZoomHistory(navigate) {
+        const { zoomHistory, brushTimeDomain, overallTimeDomain } = this.state;
+        const navigation = navigate(zoomHistory, brushTimeDomain);
+
+        if (navigation === null) {
+            return;
+        }
+
+        // The data may have changed since the domain was left
+        const { min, max } = navigation.brushDomain;
+
+        this.zoomHistoryNavigation = navigation;
+        this._zoomToBrushedDomain([ Math.max(min, overallTimeDomain.min), Math.min(max, overallTimeDomain.max) ]);
+        this.zoomHistoryNavigation = null;
+
+        // When controlled the zoom history is only navigated once the parent accepts the proposed domain
+        if (!isBrushDomainControlled(this.props)) {
+            this._setNavigatedZoomHistory(navigation.zoomHistory);
+        }
+    }
+
+    /**
+     * Sets the zoom history after navigating it.
+     *
+     * @param {Object} zoomHistory
+     * @private
+     */
+    _setNavigatedZoomHistory(zoomHistory) {
+        // The next change of the brushed domain is a new entry, even if it happens right away
+        this.lastZoomHistoryChangeTime = 0;
+
+        this.setState({ zoomHistory });
+    }
+
+    /**
+     * Updates the zoom history once the parent accepts a new brush domain when it is controlled: navigating it
+     * if the domain was proposed by `undo` or `redo`, or recording the previous domain otherwise.
+     *
+     * @param {Object|undefined} prevBrushDomain
+     * @private
+     */
+    _updateControlledZoomHistory(prevBrushDomain) {
+        const { brushDomain } = this.props;
+        const proposedNavigation = this.proposedZoomHistoryNavigation;
+
+        this.proposedZoomHistoryNavigation = null;
+
+        if (proposedNavigation && proposedNavigation.brushDomain.min === brushDomain.min
+            && proposedNavigation.brushDomain.max === brushDomain.max) {
+            this._setNavigatedZoomHistory(proposedNavigation.zoomHistory);
+            return;
+        }
+
+        if (prevBrushDomain) {
+            this._recordZoomHistory(prevBrushDomain, brushDomain.min, brushDomain.max);
+        }
+    }
+
+    /**
+     * Adds the given previous brushed domain to the zoom history when it changes to the given one, unless it
+     * is part of the same gesture as the previous change. While playing nothing is recorded, the whole play run
+     * is recorded once it stops.
+     *
+     * @param {Object} previousBrushDomain
+     * @param {number} brushedDomainMin
+     * @param {number} brushedDomainMax
+     * @private
+     */
+    _recordZoomHistory(previousBrushDomain, brushedDomainMin, brushedDomainMax) {
+        if (this.zoomHistoryNavigation !== null || this.playStartBrushDomain !== null
+            || (previousBrushDomain.min === brushedDomainMin && previousBrushDomain.max === brushedDomainMax)) {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (now - this.lastZoomHistoryChangeTime >= ZOOM_HISTORY_GESTURE_DELAY) {
+            this.setState(({ zoomHistory }) => ({ zoomHistory: pushZoomHistory(zoomHistory, previousBrushDomain) }));
+        }
+
+        this.lastZoomHistoryChangeTime = now;
+    }
+
+    /**
+     * Calculates what has changed since the given previous props that affects the histogram bars.
+     *
+     * @param {Object} prevProps
+     * @returns {Object}
+     * @private
+     */
+    _calculateChanges(prevProps) {
+        const hasWidthChanged = prevProps.size.width !== this.props.size.width;
+        const haveBarPropsChanged = havePropsChanged(this.props, prevProps,
+            ["xAccessor", "yAccessor", "seriesAccessor", "seriesLayout", "preBinned", "xScaleType"]);
+
+        // When new data is just appended to the previous one we avoid going through all the data again
+        const isOnlyDataAppended = !hasWidthChanged && !haveBarPropsChanged && this._isOnlyDataAppended(prevProps);
+        const hasDataChanged = !isOnlyDataAppended && this._hasDataChanged(prevProps);
+
+        return {
+            isOnlyDataAppended,
+            hasDataChanged,
+            haveBarPropsChanged,
+            shouldRecreateScales: hasWidthChanged || hasDataChanged || haveBarPropsChanged
+        };
+    }
+
+    /**
+     * Returns whenever the data has changed since the given previous props.
+     *
+     * @param {Object} prevProps
+     * @returns {boolean}
+     * @private
+     */
+    _hasDataChanged(prevProps) {
+        const { xAccessor, yAccessor } = getDataAccessors(this.props);
+
+        return prevProps.data.length !== this.props.data.length
+            || !isHistogramDataEqual(xAccessor, yAccessor, prevProps.data, this.props.data);
+    }
+
+    /**
+     * Returns whenever the data has only changed by having new elements appended to the previous data, with
+     * no new series.
+     *
+     * @param {Object} prevProps
+     * @returns {boolean}
+     * @private
+     */
+    _isOnlyDataAppended(prevProps) {
+        if (!isDataAppended(prevProps.data, this.props.data)) {
+            return false;
+        }
+
+        const appendedSeriesKeys = getSeriesKeys(this.props.data.slice(prevProps.data.length),
+            this.props.seriesAccessor);
+
+        return appendedSeriesKeys.every((key) => this.seriesKeys.includes(key));
+    }
+
+    /**
+     * Returns whenever the histogram bars calculated for the previous brushed domain have the same bins the
+     * current one would have. That is the case when only its end has moved, e.g., because it reaches the end
+     * of the appended data, and it still falls in the last bin.
+     *
+     * @param {Object} prevBrushTimeDomain
+     * @returns {boolean}
+     * @private
+     */
+    _haveSameHistogramBins(prevBrushTimeDomain) {
+        const { brushTimeDomain, timeHistogramBars } = this.state;
+
+        if (brushTimeDomain.min !== prevBrushTimeDomain.min || timeHistogramBars.length === 0) {
+            return false;
+        }
+
+        const lastBarEnd = dateToTimestamp(timeHistogramBars[timeHistogramBars.length - 1].x1);
+
+        return brushTimeDomain.max <= lastBarEnd
+            && this._getBinInterval(brushTimeDomain) === this._getBinInterval(prevBrushTimeDomain);
+    }
+
+    /**
+     * Adds the appended data to the histogram bars if possible, otherwise calculates them again.
+     *
+     * @param {Array.<Object>} appendedData
+     * @param {Object} prevBrushTimeDomain
+     * @private
+     */
+    _updateHistogramBarsWithAppendedData(appendedData, prevBrushTimeDomain) {
+        const { xAccessor, yAccessor, seriesAccessor, aggregate, preBinned } = this.props;
+
+        // The bars can only be updated with the new data if they were calculated in the main thread from the
+        // data from props, and with the same bins.
+        if (!this._haveSameHistogramBins(prevBrushTimeDomain) || this._isBinnedInWorker() || preBinned
+            || this.state.requestedData !== null) {
+            this._updateHistogramChartScales();
+            return;
+        }
+
+        this._updateHistogramBars(appendToHistogramBins({
+            xAccessor,
+            yAccessor,
+            seriesAccessor,
+            seriesKeys: this.seriesKeys,
+            aggregate,
+            bins: this.state.timeHistogramBars,
+            data: appendedData
+        }));
+    }
+
+    /**
+     * Returns whenever the bars handle clicks, i.e., if there is an `onBarClick`, `zoomOnBarClick` is enabled or
+     * the bars can be selected.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _areBarsClickable() {
+        return typeof this.props.onBarClick === "function" || this.props.zoomOnBarClick || this._isSelectionEnabled();
+    }
+
+    /**
+     * Returns whenever dragging the histogram chart brushes a range instead of panning, i.e., if brushing is
+     * enabled and the `brushModifierKey` is pressed or there is none.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isHistogramBrushActive() {
+        const { brushToZoom, brushModifierKey } = this.props;
+
+        return brushToZoom && (brushModifierKey === null || this.state.isBrushModifierKeyPressed);
+    }
+
+    /**
+     * Returns whenever the bars can be selected, i.e., if the selection is controlled or there is an
+     * `onSelectionChange`.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isSelectionEnabled() {
+        return this.props.selectedBins !== null || typeof this.props.onSelectionChange === "function";
+    }
+
+    /**
+     * Returns the selected time ranges, which are the ones from props when the selection is controlled.
+     *
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _getSelectedBins() {
+        return this.props.selectedBins !== null ? this.props.selectedBins : this.state.selectedBins;
+    }
+
+    /**
+     * Returns the index of the bar that contains the last clicked bar (the anchor of the range selections), or null
+     * if it isn't shown. The anchor is kept as a timestamp, since the bars may have changed since it was clicked.
+     *
+     * @returns {number|null}
+     * @private
+     */
+    _getSelectionAnchorIndex() {
+        const anchor = this.selectionAnchor;
+
+        if (anchor === undefined) {
+            return null;
+        }
+
+        const anchorIndex = this.state.timeHistogramBars.findIndex(({ x0, x1 }) => (
+            dateToTimestamp(x0) <= anchor && anchor < dateToTimestamp(x1)
+        ));
+
+        return anchorIndex >= 0 ? anchorIndex : null;
+    }
+
+    /**
+     * Updates the selection after clicking the bar with the given index. The shift key selects the bars between
+     * the last clicked bar and this one, and the ctrl (or cmd) key adds or removes the bar from the selection.
+     *
+     * @param {number} index
+     * @param {Object} evt
+     * @private
+     */
+    _updateSelection(index, evt) {
+        const { timeHistogramBars } = this.state;
+        const isRange = evt.shiftKey;
+        const anchorIndex = this._getSelectionAnchorIndex();
+
+        const selectedBins = updateSelectedBins(this._getSelectedBins(), timeHistogramBars, index, {
+            isToggle: evt.ctrlKey || evt.metaKey,
+            isRange,
+            anchorIndex
+        });
+
+        if (!isRange || anchorIndex === null) {
+            this.selectionAnchor = dateToTimestamp(timeHistogramBars[index].x0);
+        }
+
+        if (this.props.selectedBins === null) {
+            this.setState({ selectedBins });
+        }
+
+        if (typeof this.props.onSelectionChange === "function") {
+            this.props.onSelectionChange(selectedBins);
+        }
+    }
+
+    /**
+     * Returns the class name of the given bar: whenever it is negative and, if there are selected bars,
+     * whenever it is selected.
+     *
+     * @param {Object} bar
+     * @param {string} [className] An additional class name.
+     * @returns {string|undefined}
+     * @private
+     */
+    _getBarClassName(bar, className) {
+        const selectedBins = this._getSelectedBins();
+        const classNames = className ? [className] : [];
+
+        if (!Array.isArray(bar.series) && bar.yValue < 0) {
+            classNames.push("fdz-css-graph-histogram-bars--negative");
+        }
+
+        if (selectedBins.length > 0) {
+            classNames.push(isBarSelected(bar, selectedBins)
+                ? "fdz-css-graph-histogram-bars--selected"
+                : "fdz-css-graph-histogram-bars--unselected");
+        }
+
+        return classNames.length > 0 ? classNames.join(" ") : undefined;
+    }
+
+    /**
+     * Returns the area of the histogram bar drawn in the canvas at the given position, or null if there is none.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null}
+     * @private
+     */
+    _getHistogramBarHitArea(x, y) {
+        const hitAreas = this.histogramBarHitAreas || [];
+
+        for (let i = 0; i < hitAreas.length; i++) {
+            const hitArea = hitAreas[i];
+
+            if (x >= hitArea.x && x <= hitArea.x + hitArea.width
+                && y >= hitArea.y && y <= hitArea.y + hitArea.height) {
+                return hitArea;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates the density chart x axis scale, the histogram zoom and the histogram brush.
+     * @private
+     */
+    _createScaleAndZoom() {
+        const { min, max } = this.state.overallTimeDomain;
+        const { width, height } = this.state.histogramChartDimensions;
+
+        this.densityChartXScale = this._createXScale()
+            .domain([ min, max ])
+            .range([ 0, this.state.densityChartDimensions.width ]);
+
+        this.zoom = d3Zoom()
+            .scaleExtent([MIN_ZOOM_VALUE, this._calculateMaxZoomValue()])
+            .translateExtent([
+                [0, 0],
+                [width, height]
+            ])
+            .extent([
+                [0, 0],
+                [width, height]
+            ])
+            .on("zoom", this._onResizeZoom)
+            .on("end", this._onZoomEnd);
+
+        this._createHistogramBrush();
+    }
+
+    /**
+     * Updates the density chart x axis scale and the histogram zoom to the current overall domain, without
+     * recreating the zoom.
+     * @private
+     */
+    _updateScaleAndZoomDomain() {
+        const { min, max } = this.state.overallTimeDomain;
+
+        // The density chart needs a new scale to know that it has changed
+        this.densityChartXScale = this.densityChartXScale.copy()
+            .domain([ min, max ]);
+
+        this.zoom.scaleExtent([MIN_ZOOM_VALUE, this._calculateMaxZoomValue()]);
+    }
+
+    /**
+     * Returns the max zoom, which is the ratio of the overall domain extent to the minimum unit we want to
+     * zoom to. When the overall domain is shorter than that unit (e.g., numbers with the default `minZoomUnit`)
+     * it can't be zoomed in, but the max zoom is still kept above the min zoom.
+     * @returns {number}
+     * @private
+     */
+    _calculateMaxZoomValue() {
+        const { min, max } = this.state.overallTimeDomain;
+
+        return Math.max(MIN_ZOOM_VALUE, (max - min) / this.props.minZoomUnit);
+    }
+
+    /**
+     * Applies the zoom transform that corresponds to the given brush domain without proposing it as
+     * a new brush domain.
+     *
+     * @param {Object} brushDomain
+     * @private
+     */
+    _applyZoomTransformForBrushDomain({ min, max }) {
+        const brushSelectionMin = this.densityChartXScale(min);
+        const brushSelectionMax = this.densityChartXScale(max);
+
+        if (brushSelectionMax - brushSelectionMin <= 0) {
+            return;
+        }
+
+        this.isApplyingZoomTransform = true;
+
+        d3Select(this.histogramChartRef.current).call(this.zoom.transform, d3ZoomIdentity
+            .scale(this.state.densityChartDimensions.width / (brushSelectionMax - brushSelectionMin))
+            .translate(-brushSelectionMin, 0));
+
+        this.isApplyingZoomTransform = false;
+    }
+
+    /**
+     * Returns whenever the brushed domain is following the latest data.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isFollowingLatest() {
+        return this.state.isFollowingLatest && isFollowLatestEnabled(this.props);
+    }
+
+    /**
+     * Returns whenever the bars are split by series and rendered side by side.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _areBarsGroupedBySeries() {
+        return typeof this.props.seriesAccessor === "function" && this.props.seriesLayout === "grouped";
+    }
+
+    /**
+     * Creates the color scale of the series the bars are split into, if any.
+     * @private
+     */
+    _createSeriesColorScale() {
+        this.seriesKeys = getSeriesKeys(this.props.data, this.props.seriesAccessor);
+
+        this.seriesColorScale = scaleOrdinal()
+            .domain(this.seriesKeys)
+            .range(this.props.seriesColors);
+    }
+
+    /**
+     * Sends the data to the worker pipeline, if there is one, so that it can calculate the bins.
+     * @private
+     */
+    _sendDataToWorkerPipeline() {
+        if (this.workerPipeline === null) {
+            return;
+        }
+
+        const { data, xAccessor, yAccessor, seriesAccessor } = this.props;
+
+        this.workerPipeline.setData(extractColumns(data, xAccessor, yAccessor, seriesAccessor, this.seriesKeys));
+    }
+
+    /**
+     * Sets up the zoom and the chart scales.
+     * @private
+     */
+    _setUpZoomAndChartScales() {
+        // Double clicking resets the zoom instead of zooming in
+        d3Select(this.histogramChartRef.current)
+            .call(this.zoom)
+            .on("dblclick.zoom", null);
+
+        this._setUpHistogramBrush();
+
+        this._updateHistogramChartScales();
+    }
+
+    /**
+     * Creates the brush of the histogram chart, which zooms to the brushed range when released.
+     * @private
+     */
+    _createHistogramBrush() {
+        const { width, heightForBars } = this.state.histogramChartDimensions;
+
+        this.histogramBrush = brushX()
+            .extent([
+                [0, 0],
+                [width, heightForBars]
+            ])
+            .on("end", this._onHistogramBrushEnd);
+    }
+
+    /**
+     * Starts or stops listening to the window keyboard events, to know whenever the `brushModifierKey` is pressed.
+     *
+     * @param {boolean} isListening
+     * @private
+     */
+    _listenToModifierKey(isListening) {
+        const method = isListening ? "addEventListener" : "removeEventListener";
+
+        window[method]("keydown", this._onModifierKeyChange);
+        window[method]("keyup", this._onModifierKeyChange);
+        window[method]("blur", this._onWindowBlur);
+    }
+
+    /**
+     * Applies the brush to the histogram chart, if brushing is enabled.
+     * @private
+     */
+    _setUpHistogramBrush() {
+        if (this.histogramBrushRef.current === null) {
+            return;
+        }
+
+        d3Select(this.histogramBrushRef.current).call(this.histogramBrush);
+    }
+
+    /**
+     * Zooms the histogram to the given brushed domain, moving the zoom transform like a zoom gesture would.
+     *
+     * @param {Array.<number|Date>} brushedDomain
+     * @private
+     */
+    _zoomToBrushedDomain(brushedDomain) {
+        // When controlled the zoom transform is only applied once the parent accepts the new domain
+        if (isBrushDomainControlled(this.props)) {
+            this._updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain);
+            return;
+        }
+
+        const [ brushSelectionMin, brushSelectionMax ] = brushedDomain.map(this.densityChartXScale);
+
+        d3Select(this.histogramChartRef.current).call(this.zoom.transform, d3ZoomIdentity
+            .scale(this.state.densityChartDimensions.width / (brushSelectionMax - brushSelectionMin))
+            .translate(-brushSelectionMin, 0));
+
+        this._updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain);
+    }
+
+    /**
+     * Check if brushed domain changed and if so, updates the component state
+     * and calls prop function for interval change.
+     *
+     * @param {Array<Number>} brushedDomain
+     * @private
+     */
+    _updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain) {
+        const [ brushedDomainMin, brushedDomainMax ] = this._snapBrushedDomain(brushedDomain.map(dateToTimestamp));
+
+        if (!this.isApplyingPreset && this.state.activePresetKey !== null) {
+            this.setState({ activePresetKey: null });
+        }
+
+        // When controlled we only propose the new domain, it is up to the parent to accept it.
+        if (isBrushDomainControlled(this.props)) {
+            const { brushDomain } = this.props;
+
+            if (brushDomain.min !== brushedDomainMin || brushDomain.max !== brushedDomainMax) {
+                this.proposedZoomHistoryNavigation = this.zoomHistoryNavigation && {
+                    brushDomain: { min: brushedDomainMin, max: brushedDomainMax },
+                    zoomHistory: this.zoomHistoryNavigation.zoomHistory
+                };
+
+                this.props.onBrushDomainChange({
+                    min: brushedDomainMin,
+                    max: brushedDomainMax
+                });
+            }
+
+            return;
+        }
+
+        this._recordZoomHistory(this.state.brushTimeDomain, brushedDomainMin, brushedDomainMax);
+
+        // Any brush or zoom by the user pauses following the latest data
+        this.setState({
+            brushTimeDomain: {
+                min: brushedDomainMin,
+                max: brushedDomainMax
+            },
+            showHistogramBarTooltip: false,
+            requestedData: null,
+            isFollowingLatest: false
+        }, this._updateHistogramChartScales);
+
+        this._notifyIntervalChange(brushedDomainMin, brushedDomainMax);
+        this._scheduleDataRequest(brushedDomainMin, brushedDomainMax);
+    }
+
+    /**
+     * Snaps the edges of the given brushed domain as set in the `snapTo` prop, if any.
+     *
+     * @param {Array.<number>} brushedDomain
+     * @returns {Array.<number>}
+     * @private
+     */
+    _snapBrushedDomain(brushedDomain) {
+        const { snapTo, timeZone } = this.props;
+
+        // Resetting the zoom, navigating the zoom history and editing the interval header go exactly to their domains
+        if (snapTo === null || this.isResettingZoom || this.isApplyingIntervalHeader
+            || this.zoomHistoryNavigation !== null) {
+            return brushedDomain;
+        }
+
+        const [ min, max ] = brushedDomain;
+
+        return snapBrushedDomain(brushedDomain, {
+            snapTo,
+            binEdges: snapTo === "bins" ? this._calculateBinEdges({ min, max }) : [],
+            timeZone,
+            overallTimeDomain: this.state.overallTimeDomain
+        });
+    }
+
+    /**
+     * Returns the limits of the histogram bins of the given brushed domain, calculated the same way as the bins
+     * themselves are in `_updateHistogramChartScales`.
+     *
+     * @param {Object} brushTimeDomain
+     * @returns {Array.<Date|number>}
+     * @private
+     */
+    _calculateBinEdges(brushTimeDomain) {
+        const binInterval = this._getBinInterval(brushTimeDomain);
+        const xScale = this._createXScale()
+            .domain([ brushTimeDomain.min, brushTimeDomain.max ])
+            .nice(binInterval || this.props.defaultBarCount);
+
+        return xScale.domain().concat(xScale.ticks(binInterval || this.props.defaultBarCount));
+    }
+
+    /**
+     * Calls the `onIntervalChange` prop with the given interval.
+     *
+     * @param {number} brushedDomainMin
+     * @param {number} brushedDomainMax
+     * @private
+     */
+    _notifyIntervalChange(brushedDomainMin, brushedDomainMax) {
+        const fullDomain = this.densityChartXScale.domain();
+
+        const isFullDomain = dateToTimestamp(fullDomain[0]) === brushedDomainMin
+            && dateToTimestamp(fullDomain[1]) === brushedDomainMax;
+
+        this.props.onIntervalChange([ brushedDomainMin, brushedDomainMax ], isFullDomain);
+    }
+
+    /**
+     * Requests the data of the given brushed domain to the parent once the brushed domain stops changing
+     * for `requestDataDelay` milliseconds. The resolution is the duration each bar is expected to have.
+     *
+     * @param {number} brushedDomainMin
+     * @param {number} brushedDomainMax
+     * @private
+     */
+    _scheduleDataRequest(brushedDomainMin, brushedDomainMax) {
+        if (typeof this.props.onRequestData !== "function") {
+            return;
+        }
+
+        clearTimeout(this.requestDataTimeout);
+
+        this.dataRequestId += 1;
+
+        const requestId = this.dataRequestId;
+
+        this.requestDataTimeout = setTimeout(() => {
+            const resolution = this._calculateBarDuration({ min: brushedDomainMin, max: brushedDomainMax });
+
+            this._requestData(requestId, { min: brushedDomainMin, max: brushedDomainMax }, resolution);
+        }, this.props.requestDataDelay);
+    }
+
+    /**
+     * Returns whenever the x axis values are dates, as opposed to plain numbers.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isTimeScale() {
+        return this.props.xScaleType !== "linear";
+    }
+
+    /**
+     * Returns whenever the histogram bins are calculated in the worker pipeline. The worker only has the data from
+     * props and only sums the y values, so the other aggregations are calculated in the main thread.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isBinnedInWorker() {
+        return this.workerPipeline !== null && this.state.requestedData === null && this.props.aggregate === "sum";
+    }
+
+    /**
+     * Creates an empty x scale of the `xScaleType`, with the ticks in the `timeZone` when it is a time scale.
+     *
+     * @returns {Object}
+     * @private
+     */
+    _createXScale() {
+        return this._isTimeScale() ? createTimeScale(this.props.timeZone) : scaleLinear();
+    }
+
+    /**
+     * Returns the interval of the histogram bins for the given brushed domain, or null if they should be calculated
+     * from the `defaultBarCount`. Numeric values have no calendar intervals, so it is always null for them.
+     *
+     * @param {Object} brushTimeDomain
+     * @returns {Object|null}
+     * @private
+     */
+    _getBinInterval(brushTimeDomain) {
+        return this._isTimeScale() ? resolveBinInterval(this.props.binInterval, brushTimeDomain) : null;
+    }
+
+    /**
+     * Returns the expected duration of each histogram bar, in milliseconds, for the given brushed domain.
+     *
+     * @param {Object} brushTimeDomain
+     * @returns {number}
+     * @private
+     */
+    _calculateBarDuration(brushTimeDomain) {
+        const binInterval = this._getBinInterval(brushTimeDomain);
+
+        if (binInterval === null) {
+            return (brushTimeDomain.max - brushTimeDomain.min) / this.props.defaultBarCount;
+        }
+
+        const { timeZone } = this.props;
+
+        // The intervals of a time zone are applied to its wall clock
+        if (timeZone) {
+            const zonedStart = binInterval.floor(new Date(toZonedTimestamp(timeZone, brushTimeDomain.min)));
+
+            return fromZonedTimestamp(timeZone, binInterval.offset(zonedStart, 1))
+                - fromZonedTimestamp(timeZone, zonedStart);
+        }
+
+        const start = binInterval.floor(new Date(brushTimeDomain.min));
+
+        return binInterval.offset(start, 1) - start;
+    }
+
+    /**
+     * Calls the `onRequestData` prop and, if it returns a promise, shows the loading state until it settles.
+     * The data the promise resolves with is used to render the histogram bars, unless the brushed domain has
+     * changed in the meantime.
+     *
+     * @param {number} requestId
+     * @param {Object} domain
+     * @param {number} resolution
+     * @private
+     */
+    _requestData(requestId, domain, resolution) {
+        const request = this.props.onRequestData(domain, resolution);
+
+        if (!isObject(request) || typeof request.then !== "function") {
+            // A previous request may still be pending, but its data would be ignored once it arrives
+            if (this.state.isLoadingData) {
+                this.setState({
+                    isLoadingData: false
+                });
+            }
+
+            return;
+        }
+
+        this.setState({
+            isLoadingData: true
+        });
+
+        request.then((requestedData) => {
+            if (requestId !== this.dataRequestId) {
+                return;
+            }
+
+            this.setState({
+                isLoadingData: false,
+                requestedData: Array.isArray(requestedData) ? requestedData : null
+            }, this._updateHistogramChartScales);
+        }, () => {
+            if (requestId === this.dataRequestId) {
+                this.setState({
+                    isLoadingData: false
+                });
+            }
+        });
+    }
+
+    /**
+     * Returns the data of the histogram bars, which is the data requested for the brushed domain if there
+     * is one or the data from props otherwise.
+     *
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _getHistogramBarsData() {
+        return this.state.requestedData !== null ? this.state.requestedData : this.props.data;
+    }
+
+    /**
+     * Returns the x axis formatter. The default one formats the dates in the `timeZone` and with the `locale`.
+     *
+     * @returns {function}
+     * @private
+     */
+    _getXAxisFormatter() {
+        const { xAxisFormatter, timeZone, locale } = this.props;
+
+        if (xAxisFormatter !== multiDateFormat) {
+            return xAxisFormatter;
+        }
+
+        if (!this._isTimeScale()) {
+            return createDefaultLinearXAxisFormatter(locale && locale.number);
+        }
+
+        return createMultiDateFormat(timeZone, locale && locale.time);
+    }
+
+    /**
+     * Returns the y axis formatter. The default one formats the numbers with the `locale` and the `yScaleType`.
+     *
+     * @returns {function}
+     * @private
+     */
+    _getYAxisFormatter() {
+        const { yAxisFormatter, locale } = this.props;
+
+        if (yAxisFormatter !== histogramDefaultYAxisFormatter) {
+            return yAxisFormatter;
+        }
+
+        const defaultYAxisFormatter = createDefaultYAxisFormatter(locale && locale.number);
+
+        // The log scale has ticks for every multiple of each power of ten, so only some of them are labeled
+        if (this.props.yScaleType === "log") {
+            return this.histogramChartYScale.tickFormat(this.props.yAxisTicks, defaultYAxisFormatter);
+        }
+
+        return defaultYAxisFormatter;
+    }
+
+    /**
+     * Defines X and Y scale for histogram bar chart and creates bins for histogram
+     * Checks if plot is timebased and sets X axis accordingly.
+     *
+     * @private
+     */
+    _updateHistogramChartScales() {
+        const binInterval = this._getBinInterval(this.state.brushTimeDomain);
+
+        // With a bin interval the domain is extended to the interval boundaries, so that every bin has the
+        // same calendar duration
+        const histogramChartXScale = this._createXScale()
+            .domain([ this.state.brushTimeDomain.min, this.state.brushTimeDomain.max ])
+            .range([
+                this.state.histogramChartDimensions.width * X_AXIS_PADDING,
+                this.state.histogramChartDimensions.width * (1 - X_AXIS_PADDING)
+            ])
+            .nice(binInterval || this.props.defaultBarCount);
+
+        if (this._isBinnedInWorker()) {
+            const [ domainMin, domainMax ] = histogramChartXScale.domain().map(dateToTimestamp);
+            const thresholds = histogramChartXScale.ticks(binInterval || this.props.defaultBarCount)
+                .map(dateToTimestamp);
+
+            // The scales are only updated when the bins arrive, so the bars are never drawn with a scale
+            // they weren't calculated with.
+            this.workerPipeline.requestBins(thresholds, domainMin, domainMax, (bins) => {
+                this.histogramChartXScale = histogramChartXScale;
+                this._updateHistogramBars(toHistogramBins(bins, this.seriesKeys, this._isTimeScale()));
+            });
+
+            return;
+        }
+
+        this.histogramChartXScale = histogramChartXScale;
+
+        // Calculating the time histogram bins
+        const binCalculator = this.props.preBinned ? preBinnedHistogramBinCalculator : histogramBinCalculator;
+        const timeHistogramBars = binCalculator({
+            xAccessor: this.props.xAccessor,
+            yAccessor: this.props.yAccessor,
+            seriesAccessor: this.props.seriesAccessor,
+            seriesKeys: this.seriesKeys,
+            histogramChartXScale: this.histogramChartXScale,
+            defaultBarCount: this.props.defaultBarCount,
+            binInterval,
+            aggregate: this.props.aggregate,
+            data: this._getHistogramBarsData()
+        });
+
+        this._updateHistogramBars(timeHistogramBars);
+    }
+
+    /**
+     * Sets the given bins as the histogram bars and updates the histogram y scale accordingly.
+     *
+     * @param {Array.<Object>} timeHistogramBars
+     * @private
+     */
+    _updateHistogramBars(timeHistogramBars) {
+        const overlayLines = this._calculateOverlayLines(timeHistogramBars);
+        const yValues = (this._getHistogramBarsData().length === 0 ? [1] : this._getYValues(timeHistogramBars))
+            .concat(this._getOverlayYValues(overlayLines, "left"), this._getAnnotationYValues());
+        const rightYValues = this._getOverlayYValues(overlayLines, "right");
+
+        // Setting the histogram y-axis domain scale, which always includes the zero baseline
+        this.histogramChartYScale = createHistogramYScale(
+            this.props.yScaleType,
+            [ Math.min(0, d3Min(yValues)), Math.max(0, d3Max(yValues)) ],
+            d3Min(yValues.filter((value) => value > 0))
+        )
+            .range([this.state.histogramChartDimensions.heightForBars, 0]);
+
+        // The overlays of the right y axis have their own linear scale
+        this.histogramChartRightYScale = overlayLines.some((line) => line.yAxis === "right")
+            ? scaleLinear()
+                .domain([ Math.min(0, d3Min(rightYValues)), Math.max(0, d3Max(rightYValues)) ])
+                .nice()
+                .range([this.state.histogramChartDimensions.heightForBars, 0])
+            : null;
+
+        this.setState({
+            timeHistogramBars,
+            overlayLines
+        }, () => {
+            this._renderHistogramAxis();
+        });
+    }
 
     /**
-     * Handles the mouse leaving an histogram bar.
+     * Returns the y values that the given bins reach: the value of each bin or, when they are split by series,
+     * the value of each series if they are grouped and the limits of each segment if they are stacked.
+     *
+     * @param {Array.<Object>} timeHistogramBars
+     * @returns {Array.<number>}
      * @private
      */
-    _onMouseLeaveHistogramBar = () => {
-        this.setState({
-            showHistogramBarTooltip: false
+    _getYValues(timeHistogramBars) {
+        const yValues = [];
+        const areBarsGroupedBySeries = this._areBarsGroupedBySeries();
+
+        timeHistogramBars.forEach((bin) => {
+            if (!Array.isArray(bin.series)) {
+                yValues.push(bin.yValue);
+            } else if (areBarsGroupedBySeries) {
+                bin.series.forEach((series) => yValues.push(series.yValue));
+            } else {
+                bin.series.forEach((series) => yValues.push(series.y0, series.y1));
+            }
         });
-    };
+
+        return yValues;
+    }
 
     /**
-     * Creates the density chart x axis scale and the histogram zoom.
+     * Returns the y values of the points of the overlay lines of the given y axis.
+     *
+     * @param {Array.<Object>} overlayLines
+     * @param {string} yAxis Either "left" or "right".
+     * @returns {Array.<number>}
      * @private
      */
-    _createScaleAndZoom() {
-        const { min, max } = this.state.overallTimeDomain;
-        const { width, height } = this.state.histogramChartDimensions;
-
-        this.densityChartXScale = scaleTime()
-            .domain([ min, max ])
-            .range([ 0, this.state.densityChartDimensions.width ]);
+    _getOverlayYValues(overlayLines, yAxis) {
+        const yValues = [];
 
-        // max zoom is the ratio of the initial domain extent to the minimum unit we want to zoom to.
-        const MAX_ZOOM_VALUE = (max - min) / this.props.minZoomUnit;
+        overlayLines
+            .filter((line) => line.yAxis === yAxis)
+            .forEach((line) => line.points.forEach(({ y }) => yValues.push(y)));
 
-        this.zoom = d3Zoom()
-            .scaleExtent([MIN_ZOOM_VALUE, MAX_ZOOM_VALUE])
-            .translateExtent([
-                [0, 0],
-                [width, height]
-            ])
-            .extent([
-                [0, 0],
-                [width, height]
-            ])
-            .on("zoom", this._onResizeZoom);
+        return yValues;
     }
 
     /**
-     * Sets up the zoom and the chart scales.
+     * Returns the values of the `"y"` annotations, so that they are inside of the y domain even when they are above
+     * or below every bar, e.g., an SLA threshold that is never reached.
+     *
+     * @returns {Array.<number>}
      * @private
      */
-    _setUpZoomAndChartScales() {
-        d3Select(this.histogramChartRef.current).call(this.zoom);
+    _getAnnotationYValues() {
+        return this.props.annotations
+            .filter((annotation) => annotation.type === "y")
+            .map((annotation) => annotation.value);
+    }
 
-        this._updateHistogramChartScales();
+    /**
+     * Calculates the points of each of the `overlays` for the given bins.
+     *
+     * @param {Array.<Object>} timeHistogramBars
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _calculateOverlayLines(timeHistogramBars) {
+        return this.props.overlays.map((overlay) => ({
+            key: overlay.key,
+            color: overlay.color,
+            yAxis: overlay.yAxis || "left",
+            points: calculateOverlayPoints(overlay, timeHistogramBars, this.histogramChartXScale.domain())
+        }));
     }
 
     /**
-     * Check if brushed domain changed and if so, updates the component state
-     * and calls prop function for interval change.
+     * Calculates the position and dimensions of the segments of an histogram bar that is split by series,
+     * according to the series layout.
      *
-     * @param {Array<Number>} brushedDomain
+     * @param {Object} bar
+     * @returns {Array.<Object>}
      * @private
      */
-    _updateBrushedDomainAndReRenderTheHistogramPlot(brushedDomain) {
-        const brushedDomainMin = dateToTimestamp(brushedDomain[0]);
-        const brushedDomainMax = dateToTimestamp(brushedDomain[1]);
+    _calculateHistogramBarSegments(bar) {
+        const { margin, seriesMargin } = this.props.barOptions;
+        const geometryParameters = {
+            xScale: this.histogramChartXScale,
+            yScale: this.histogramChartYScale,
+            heightForBars: this.state.histogramChartDimensions.heightForBars,
+            baselineY: this.histogramChartYScale(0),
+            margin,
+            bar
+        };
 
-        this.setState({
-            brushTimeDomain: {
-                min: brushedDomainMin,
-                max: brushedDomainMax
-            },
-            showHistogramBarTooltip: false
-        }, this._updateHistogramChartScales);
+        if (this._areBarsGroupedBySeries()) {
+            return calculateGroupedSegmentsPositionAndDimensions({ ...geometryParameters, seriesMargin });
+        }
 
-        const fullDomain = this.densityChartXScale.domain();
+        return calculateStackedSegmentsPositionAndDimensions(geometryParameters);
+    }
 
-        const isFullDomain = fullDomain[0].getTime() === brushedDomainMin
-            && fullDomain[1].getTime() === brushedDomainMax;
+    /**
+     * Recreates the scales and the zoom, recalculates the histogram bins or only re-renders the axis, depending
+     * on what changed.
+     *
+     * @param {Object} prevProps
+     * @param {boolean} shouldRecreateScales
+     * @private
+     */
+    _updateScalesIfNeeded(prevProps, shouldRecreateScales) {
+        if (shouldRecreateScales) {
+            this._createScaleAndZoom();
+            this._setUpZoomAndChartScales();
+        } else if (havePropsChanged(this.props, prevProps, [
+            "binInterval",
+            "timeZone",
+            "yScaleType",
+            "aggregate",
+            "overlays",
+            "annotations",
+            "renderIntervalHeader",
+            "renderZoomToolbar"
+        ])) {
+            this._updateHistogramChartScales();
+        } else if (havePropsChanged(this.props, prevProps, ["locale", "xAxisFormatter", "yAxisFormatter"])) {
+            this._renderHistogramAxis();
+        }
+    }
 
-        this.props.onIntervalChange([ brushedDomainMin, brushedDomainMax ], isFullDomain);
+    /**
+     * Redraws the histogram bars in the canvas if the bars are rendered in a canvas and anything they
+     * depend on has changed.
+     *
+     * @param {Object} prevProps
+     * @param {Object} prevState
+     * @private
+     */
+    _redrawHistogramCanvasIfNeeded(prevProps, prevState) {
+        if (this.props.renderer !== "canvas") {
+            return;
+        }
+
+        const haveBarsChanged = havePropsChanged(this.state, prevState, [
+            "timeHistogramBars",
+            "histogramChartDimensions",
+            "currentBar",
+            "showHistogramBarTooltip",
+            "selectedBins"
+        ]);
+
+        if (haveBarsChanged || havePropsChanged(this.props, prevProps,
+            ["renderer", "barOptions", "seriesColors", "selectedBins"])) {
+            this._drawHistogramBarsOnCanvas();
+        }
     }
 
     /**
-     * Defines X and Y scale for histogram bar chart and creates bins for histogram
-     * Checks if plot is timebased and sets X axis accordingly.
+     * Draws the histogram bars in the canvas and keeps their areas for hit-testing.
+     * (Using canvas instead of svg for performance reasons, the bars do not need to go through
+     * React on every zoom event)
      *
      * @private
      */
-    _updateHistogramChartScales() {
-        this.histogramChartXScale = scaleTime();
+    _drawHistogramBarsOnCanvas() {
+        const context = getRenderContext(this.histogramCanvasRef.current);
+        const { histogramChartDimensions, timeHistogramBars, showHistogramBarTooltip, currentBar } = this.state;
+        const {
+            margin,
+            color = DEFAULT_BAR_COLOR,
+            hoverColor = DEFAULT_BAR_HOVER_COLOR,
+            negativeColor = DEFAULT_NEGATIVE_BAR_COLOR
+        } = this.props.barOptions;
 
-        this.histogramChartXScale
-            .domain([ this.state.brushTimeDomain.min, this.state.brushTimeDomain.max ])
-            .range([
-                this.state.histogramChartDimensions.width * X_AXIS_PADDING,
-                this.state.histogramChartDimensions.width * (1 - X_AXIS_PADDING)
-            ])
-            .nice(this.props.defaultBarCount);
+        clearCanvas(context, this.props.size.width, histogramChartDimensions.height);
 
-        // Calculating the time histogram bins
-        const timeHistogramBars = histogramBinCalculator({
-            xAccessor: this.props.xAccessor,
-            yAccessor: this.props.yAccessor,
-            histogramChartXScale: this.histogramChartXScale,
-            defaultBarCount: this.props.defaultBarCount,
-            data: this.props.data
+        this.histogramBarHitAreas = [];
+
+        const selectedBins = this._getSelectedBins();
+
+        timeHistogramBars.forEach((bar, index) => {
+            const { width, height, x, y } = calculatePositionAndDimensions({
+                xScale: this.histogramChartXScale,
+                yScale: this.histogramChartYScale,
+                heightForBars: histogramChartDimensions.heightForBars,
+                baselineY: this.histogramChartYScale(0),
+                margin,
+                bar
+            });
+
+            const isSplitBySeries = Array.isArray(bar.series);
+
+            // The series of a split bar can cancel each other out, so only its segments tell
+            // if there is something to draw
+            if (width <= 0 || (height <= 0 && !isSplitBySeries)) {
+                return;
+            }
+
+            const isHovered = showHistogramBarTooltip && currentBar === bar;
+
+            // Like with css, the bars that are not selected are faded
+            const globalAlpha = selectedBins.length > 0 && !isBarSelected(bar, selectedBins)
+                ? UNSELECTED_BAR_OPACITY
+                : 1;
+
+            if (!isSplitBySeries) {
+                const barColor = bar.yValue < 0 ? negativeColor : color;
+
+                this.histogramBarHitAreas.push({ index, x, y, width, height });
+                drawRect(context, x, y, width, height, { fillStyle: isHovered ? hoverColor : barColor, globalAlpha });
+                return;
+            }
+
+            this._drawHistogramBarSegmentsOnCanvas(context, bar, { index, x, width, isHovered, globalAlpha });
         });
+    }
 
-        let maxY;
+    /**
+     * Draws the segments of a histogram bar split by series in the canvas and keeps the area
+     * they cover for hit-testing.
+     *
+     * @param {CanvasRenderingContext2D} context
+     * @param {Object} bar
+     * @param {Object} options
+     * @private
+     */
+    _drawHistogramBarSegmentsOnCanvas(context, bar, { index, x, width, isHovered, globalAlpha }) {
+        const { hoverColor = DEFAULT_BAR_HOVER_COLOR } = this.props.barOptions;
+        const segments = this._calculateHistogramBarSegments(bar)
+            .filter((segment) => segment.height > 0 && segment.width > 0);
 
-        if (this.props.data.length === 0) {
-            maxY = 1;
-        } else {
-            maxY = d3Max(timeHistogramBars, (bin) => bin.yValue);
+        if (segments.length === 0) {
+            return;
         }
 
-        // Setting the histogram y-axis domain scale
-        this.histogramChartYScale = scaleLinear()
-            .domain([0, maxY])
-            .range([this.state.histogramChartDimensions.heightForBars, 0]);
+        const segmentsTop = Math.min(...segments.map((segment) => segment.y));
+        const segmentsBottom = Math.max(...segments.map((segment) => segment.y + segment.height));
 
-        this.setState({
-            timeHistogramBars
-        }, () => {
-            this._renderHistogramAxis();
+        this.histogramBarHitAreas.push({ index, x, y: segmentsTop, width, height: segmentsBottom - segmentsTop });
+
+        segments.forEach((segment) => {
+            drawRect(context, segment.x, segment.y, segment.width, segment.height, {
+                fillStyle: isHovered ? hoverColor : this.seriesColorScale(segment.key),
+                globalAlpha
+            });
         });
     }
 
@@ -352,34 +2076,81 @@ export class Histogram extends PureComponent {
                 xScale: this.histogramChartXScale,
                 yScale: this.histogramChartYScale,
                 heightForBars: this.state.histogramChartDimensions.heightForBars,
+                baselineY: this.histogramChartYScale(0),
                 margin: this.props.barOptions.margin,
                 bar
             });
 
+            const isSplitBySeries = Array.isArray(bar.series);
+
             // Do not render the histogram bars when they have negative values for the
-            // width and height
-            if (height <= 0 || width <= 0) {
+            // width and height. The series of a split bar can cancel each other out, so its
+            // empty segments are left out when rendering them instead
+            if (width <= 0 || (height <= 0 && !isSplitBySeries)) {
                 return null;
             }
 
             // If there is no tooltip we don't need the mouse enter and leave handlers
             const hasTooltipBarCustomatizations = typeof this.props.tooltipBarCustomization === "function";
+            const onClick = this._areBarsClickable() ? this._onClickHistogramBar : null;
+
+            if (isSplitBySeries) {
+                return (
+                    <g
+                        key={`histogram-bin-${dateToTimestamp(bar.x0)}`}
+                        className={this._getBarClassName(bar, "fdz-css-graph-histogram-bars--series")}
+                        data-index={index}
+                        onMouseEnter={hasTooltipBarCustomatizations ? this._onMouseEnterHistogramBar : null}
+                        onMouseLeave={hasTooltipBarCustomatizations ? this._onMouseLeaveHistogramBar : null}
+                        onClick={onClick}
+                    >
+                        {this._renderHistogramBarSegments(bar)}
+                    </g>
+                );
+            }
 
             return (
                 <rect
-                    key={`histogram-bin-${bar.x0.getTime()}`}
-                    dataindex={index}
+                    key={`histogram-bin-${dateToTimestamp(bar.x0)}`}
+                    className={this._getBarClassName(bar)}
+                    data-index={index}
                     x={x}
                     y={y}
                     width={width}
                     height={height}
                     onMouseEnter={hasTooltipBarCustomatizations ? this._onMouseEnterHistogramBar : null}
                     onMouseLeave={hasTooltipBarCustomatizations ? this._onMouseLeaveHistogramBar : null}
+                    onClick={onClick}
                 />
             );
         });
     }
 
+    /**
+     * Renders the segments of an histogram bar that is split by series.
+     *
+     * @param {Object} bar
+     * @returns {Array.<React.Element>}
+     * @private
+     */
+    _renderHistogramBarSegments(bar) {
+        const negativeSeriesKeys = bar.series.filter(({ yValue }) => yValue < 0).map(({ key }) => key);
+
+        return this._calculateHistogramBarSegments(bar)
+            .filter(({ width, height }) => height > 0 && width > 0)
+            .map(({ key, x, y, width, height }) => (
+                <rect
+                    key={key}
+                    className={negativeSeriesKeys.includes(key) ? "fdz-css-graph-histogram-bars--negative" : undefined}
+                    x={x}
+                    y={y}
+                    width={width}
+                    height={height}
+                    style={{ fill: this.seriesColorScale(key) }}
+                />
+            ));
+    }
+
     /**
      * This function will render the X and Y axis. This means it will set their scales
      * as well as how many ticks, their respective positions and how their text should
@@ -388,7 +2159,7 @@ export class Histogram extends PureComponent {
      * @private
      */
     _renderHistogramAxis() {
-        const histogramXAxisScale = scaleTime()
+        const histogramXAxisScale = this._createXScale()
             .domain([
                 this.histogramChartXScale.invert(0),
                 this.histogramChartXScale.invert(this.state.histogramChartDimensions.width)
@@ -398,7 +2169,7 @@ export class Histogram extends PureComponent {
         // Setting the x-axis histogram representation.
         const histogramXAxis = d3AxisBottom(histogramXAxisScale)
             .tickValues(this.histogramChartXScale.ticks(this.props.defaultBarCount / BARS_TICK_RATIO))
-            .tickFormat(this.props.xAxisFormatter);
+            .tickFormat(this._getXAxisFormatter());
 
         d3Select(this.histogramXAxisRef.current)
             .call(histogramXAxis);
@@ -406,10 +2177,19 @@ export class Histogram extends PureComponent {
         const histogramYAxis = d3AxisLeft(this.histogramChartYScale)
             .ticks(this.props.yAxisTicks)
             .tickSize(0)
-            .tickFormat(this.props.yAxisFormatter);
+            .tickFormat(this._getYAxisFormatter());
 
         d3Select(this.histogramYAxisRef.current)
             .call(histogramYAxis);
+
+        if (this.histogramChartRightYScale && this.histogramRightYAxisRef.current) {
+            const histogramRightYAxis = d3AxisRight(this.histogramChartRightYScale)
+                .ticks(this.props.yAxisTicks)
+                .tickSize(0);
+
+            d3Select(this.histogramRightYAxisRef.current)
+                .call(histogramRightYAxis);
+        }
     }
 
     /**
@@ -434,7 +2214,8 @@ export class Histogram extends PureComponent {
             top: `${this.state.selectedBarPosition.top - BAR_TOOLTIP_ARROW_HEIGHT}px`
         };
 
-        const tooltipElement = this.props.tooltipBarCustomization(currentBar);
+        // The aggregated value is the `yValue` of the bar, the elements are passed so that other values can be shown
+        const tooltipElement = this.props.tooltipBarCustomization(currentBar, getBinElements(currentBar));
 
         return (
             <div
@@ -451,27 +2232,91 @@ export class Histogram extends PureComponent {
      * @returns {React.Element}
      */
     _renderHistogramChart() {
+        const { histogramChartDimensions, timeHistogramBars } = this.state;
+        const { spaceBetweenCharts, size, renderer, tooltipBarCustomization } = this.props;
+
+        if (renderer === "canvas") {
+            const hasTooltipBarCustomatizations = typeof tooltipBarCustomization === "function";
+
+            return (
+                <div className="fdz-css-graph-histogram-chart__wrapper" style={{ position: "relative" }}>
+                    <canvas
+                        ref={this.histogramCanvasRef}
+                        className="fdz-css-graph-histogram-chart__canvas"
+                        width={size.width}
+                        height={histogramChartDimensions.height}
+                        style={{ position: "absolute", left: 0, top: 0, pointerEvents: "none" }}
+                        aria-label="Histogram Chart"
+                    />
+                    {this._renderHistogramChartSvg(null, {
+                        position: "relative",
+                        marginBottom: spaceBetweenCharts
+                    }, {
+                        onMouseMove: hasTooltipBarCustomatizations ? this._onMouseMoveHistogramCanvas : null,
+                        onMouseLeave: hasTooltipBarCustomatizations ? this._onMouseLeaveHistogramBar : null,
+                        onClick: this._areBarsClickable() ? this._onClickHistogramCanvas : null
+                    })}
+                </div>
+            );
+        }
+
+        return this._renderHistogramChartSvg(
+            <g className="fdz-css-graph-histogram-bars">
+                {this._renderHistogramBars(timeHistogramBars)}
+            </g>,
+            { marginBottom: spaceBetweenCharts }
+        );
+    }
+
+    /**
+     * Renders the histogram chart svg with the given bars and the axis.
+     *
+     * @param {React.Element|null} barsElement
+     * @param {Object} style
+     * @param {Object} [eventHandlers]
+     * @returns {React.Element}
+     * @private
+     */
+    _renderHistogramChartSvg(barsElement, style, eventHandlers = {}) {
         // Histogram classNames
         const histogramXAxisClassname = "fdz-js-graph-histogram-axis-x fdz-css-graph-histogram-axis-x";
         const histogramYAxisClassname = "fdz-js-graph-histogram-axis-y fdz-css-graph-histogram-axis-y";
 
-        const { histogramChartDimensions, timeHistogramBars } = this.state;
-        const { spaceBetweenCharts, size } = this.props;
+        const { histogramChartDimensions } = this.state;
 
         return (
             <svg
                 ref={this.histogramChartRef}
                 className="fdz-js-graph-histogram fdz-css-graph-histogram-chart"
-                width={size.width}
+                width={this.props.size.width}
                 height={histogramChartDimensions.height}
-                style={{
-                    marginBottom: spaceBetweenCharts
-                }}
+                style={style}
+                onDoubleClick={this._onDoubleClickHistogramChart}
+                {...eventHandlers}
             >
+                {/* Rendering the shaded time ranges behind the bars */}
+                {this._renderAnnotations(true)}
+
                 {/* Rendering the histogram bars */}
-                <g className="fdz-css-graph-histogram-bars">
-                    {this._renderHistogramBars(timeHistogramBars)}
-                </g>
+                {barsElement}
+
+                {/* Rendering the lines over the bars */}
+                {this._renderOverlays()}
+
+                {/* Rendering the reference lines and time markers over the bars */}
+                {this._renderAnnotations(false)}
+
+                {/* Rendering the zero baseline when there are negative bars */}
+                {this._renderZeroBaseline()}
+
+                {/* Rendering the loading overlay while the data of the brushed domain is being requested */}
+                {this.state.isLoadingData ? (
+                    <rect
+                        className="fdz-css-graph-histogram-chart__loading"
+                        width={this.props.size.width}
+                        height={histogramChartDimensions.heightForBars}
+                    />
+                ) : null}
 
                 {/* Rendering the histogram x-axis */}
                 <g
@@ -486,17 +2331,160 @@ export class Histogram extends PureComponent {
                     className={histogramYAxisClassname}
                     transform={`translate(${Y_AXIS_PADDING}, ${Y_AXIS_PADDING})`}
                 />
+
+                {/* Rendering the y-axis of the overlays on the right, if there are any */}
+                {this.histogramChartRightYScale ? (
+                    <g
+                        ref={this.histogramRightYAxisRef}
+                        className={`${histogramYAxisClassname} fdz-css-graph-histogram-axis-y--right`}
+                        transform={`translate(${this.props.size.width - Y_AXIS_PADDING}, ${Y_AXIS_PADDING})`}
+                    />
+                ) : null}
+
+                {/* Rendering the brush over everything else, which only handles the mouse while brushing */}
+                {this.props.brushToZoom ? (
+                    <g
+                        ref={this.histogramBrushRef}
+                        className={this._isHistogramBrushActive()
+                            ? "fdz-css-graph-histogram-chart__brush fdz-css-graph-histogram-chart__brush--active"
+                            : "fdz-css-graph-histogram-chart__brush"}
+                    />
+                ) : null}
             </svg>
         );
     }
 
+    /**
+     * Renders the lines of the `overlays`, which are positioned with the histogram scales so that they move with
+     * the bars.
+     *
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderOverlays() {
+        const { overlayLines } = this.state;
+
+        if (overlayLines.length === 0) {
+            return null;
+        }
+
+        return (
+            <g className="fdz-css-graph-histogram-overlays">
+                {overlayLines.map((line) => {
+                    const yScale = line.yAxis === "right" ? this.histogramChartRightYScale : this.histogramChartYScale;
+
+                    return (
+                        <path
+                            key={line.key}
+                            className="fdz-css-graph-histogram-overlays__line"
+                            d={createLinePath(line.points, this.histogramChartXScale, yScale)}
+                            style={line.color ? { stroke: line.color } : null}
+                        />
+                    );
+                })}
+            </g>
+        );
+    }
+
+    /**
+     * Renders the `annotations` that are inside of the brushed domain. The shaded time ranges are rendered behind
+     * the bars, so that the bars can still be hovered, and the lines are rendered over them.
+     *
+     * @param {boolean} isBehindBars Whenever to render the time ranges or the lines.
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderAnnotations(isBehindBars) {
+        // The scales are only created after the first render
+        if (!this.histogramChartYScale || this.props.annotations.length === 0) {
+            return null;
+        }
+
+        const positionOptions = {
+            xScale: this.histogramChartXScale,
+            yScale: this.histogramChartYScale,
+            height: this.state.histogramChartDimensions.heightForBars
+        };
+
+        return (
+            <g className="fdz-css-graph-histogram-annotations">
+                {this.props.annotations
+                    .filter((annotation) => (annotation.type === "range") === isBehindBars)
+                    .map((annotation) => this._renderAnnotation(annotation,
+                        calculateAnnotationPosition(annotation, positionOptions)))}
+            </g>
+        );
+    }
+
+    /**
+     * Renders an annotation at the given position, with its label and a native tooltip.
+     *
+     * @param {Object} annotation
+     * @param {Object|null} position The position returned by `calculateAnnotationPosition`.
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderAnnotation(annotation, position) {
+        if (position === null) {
+            return null;
+        }
+
+        const { key, type, label, tooltip, color } = annotation;
+        const className = `fdz-css-graph-histogram-annotations__${type}`;
+
+        let shape, labelPosition;
+
+        if (type === "range") {
+            shape = <rect {...position} style={color ? { fill: color } : null} />;
+            labelPosition = { x: position.x + ANNOTATION_LABEL_PADDING, y: ANNOTATION_LABEL_PADDING * 3 };
+        } else {
+            shape = <line {...position} style={color ? { stroke: color } : null} />;
+            labelPosition = isXAnnotation(annotation)
+                ? { x: position.x1 + ANNOTATION_LABEL_PADDING, y: ANNOTATION_LABEL_PADDING * 3 }
+                : { x: position.x2 - ANNOTATION_LABEL_PADDING, y: position.y1 - ANNOTATION_LABEL_PADDING };
+        }
+
+        return (
+            <g key={key} className={className}>
+                {tooltip ? <title>{tooltip}</title> : null}
+                {shape}
+                {label ? <text {...labelPosition}>{label}</text> : null}
+            </g>
+        );
+    }
+
+    /**
+     * Renders a line at zero when the y domain has negative values, so that the bars below it stand out.
+     *
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderZeroBaseline() {
+        // The y scale is only created after the first render
+        if (!this.histogramChartYScale || this.histogramChartYScale.domain()[0] >= 0) {
+            return null;
+        }
+
+        const y = this.histogramChartYScale(0);
+
+        return (
+            <line
+                className="fdz-css-graph-histogram-chart__baseline"
+                x1={0}
+                x2={this.props.size.width}
+                y1={y}
+                y2={y}
+            />
+        );
+    }
+
     /**
      * Renders the density chart.
      * @returns {React.Element}
      */
     _renderDensityChart() {
-        const { frameStep, frameDelay, xAccessor, spaceBetweenCharts, brushDensityChartColor,
-            brushDensityChartFadedColor, renderPlayButton, data } = this.props;
+        const { frameStep, frameDelay, spaceBetweenCharts, brushDensityChartColor,
+            brushDensityChartFadedColor, renderPlayButton, data, preBinned, annotations, presets, snapTo } = this.props;
 
         return (
             <DensityChart
@@ -508,22 +2496,128 @@ export class Histogram extends PureComponent {
                 overallTimeDomainMax={this.state.overallTimeDomain.max}
                 frameStep={frameStep}
                 frameDelay={frameDelay}
-                xAccessor={xAccessor}
+                xAccessor={getDataAccessors(this.props).xAccessor}
+                preBinned={preBinned}
                 spaceBetweenCharts={spaceBetweenCharts}
                 brushDensityChartColor={brushDensityChartColor}
                 brushDensityChartFadedColor={brushDensityChartFadedColor}
                 densityChartXScale={this.densityChartXScale}
+                brushTransitionDuration={snapTo === null ? 0 : SNAP_TRANSITION_DURATION}
                 renderPlayButton={renderPlayButton && data.length > 0}
                 data={data}
+                annotations={annotations}
+                presets={presets}
+                activePresetKey={this.state.activePresetKey}
+                onPresetClick={this._onPresetClick}
+                onPlayingChange={this._onPlayingChange}
+                workerPipeline={this.workerPipeline}
                 onDomainChanged={this._onDensityChartDomainChanged}
+                onJumpToLive={isFollowLatestEnabled(this.props) && !this.state.isFollowingLatest
+                    ? this._onJumpToLive
+                    : null}
+            />
+        );
+    }
+
+    /**
+     * Renders the brushed interval as editable inputs, if enabled.
+     *
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderIntervalHeader() {
+        const { renderIntervalHeader, data, minZoomUnit, timeZone } = this.props;
+
+        if (!renderIntervalHeader || data.length === 0) {
+            return null;
+        }
+
+        const { brushTimeDomain, overallTimeDomain } = this.state;
+
+        return (
+            <IntervalHeader
+                brushDomainMin={brushTimeDomain.min}
+                brushDomainMax={brushTimeDomain.max}
+                overallTimeDomainMin={overallTimeDomain.min}
+                overallTimeDomainMax={overallTimeDomain.max}
+                minZoomUnit={minZoomUnit}
+                isTimeScale={this._isTimeScale()}
+                timeZone={timeZone}
+                onDomainChanged={this._onIntervalHeaderDomainChanged}
             />
         );
     }
 
+    /**
+     * Renders the buttons that go back and forward in the zoom history and reset the zoom, if enabled.
+     *
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderZoomToolbar() {
+        if (!this.props.renderZoomToolbar) {
+            return null;
+        }
+
+        const { past, future } = this.state.zoomHistory;
+
+        return (
+            <div className="fdz-css-graph-histogram-toolbar">
+                <button
+                    type="button"
+                    className="fdz-css-graph-histogram-toolbar__btn"
+                    title="Go back to the previous zoom"
+                    disabled={past.length === 0}
+                    onClick={() => this.undo()}
+                >
+                    Back
+                </button>
+                <button
+                    type="button"
+                    className="fdz-css-graph-histogram-toolbar__btn"
+                    title="Go forward to the next zoom"
+                    disabled={future.length === 0}
+                    onClick={() => this.redo()}
+                >
+                    Forward
+                </button>
+                <button
+                    type="button"
+                    className="fdz-css-graph-histogram-toolbar__btn"
+                    title="Zoom out to the whole data"
+                    onClick={() => this.resetZoom()}
+                >
+                    Reset
+                </button>
+            </div>
+        );
+    }
+
+    /**
+     * Renders the header above the histogram chart with the interval inputs and the zoom toolbar, if any
+     * of them is enabled.
+     *
+     * @returns {React.Element|null}
+     * @private
+     */
+    _renderHeader() {
+        if (!isHeaderEnabled(this.props)) {
+            return null;
+        }
+
+        return (
+            <div className="fdz-css-graph-histogram-header" style={{ height: HEADER_HEIGHT }}>
+                {this._renderIntervalHeader()}
+                {this._renderZoomToolbar()}
+            </div>
+        );
+    }
+
     render() {
         return (
             <div className="fdz-css-graph-histogram">
                 {this.state.showHistogramBarTooltip ? this._renderBarTooltip(this.state.currentBar) : null }
+                {this._renderHeader()}
                 {this._renderHistogramChart()}
                 {this._renderDensityChart()}
             </div>
@@ -531,4 +2625,27 @@ export class Histogram extends PureComponent {
     }
 }
 
-export default withSize()(Histogram);
+/**
+ * Renders the histogram with the ref received as a prop, since the size HOC doesn't forward refs.
+ *
+ * @param {Object} props
+ * @returns {React.Element}
+ */
+function HistogramWithRef({ forwardedRef, ...props }) {
+    return <Histogram ref={forwardedRef} {...props} />;
+}
+
+HistogramWithRef.propTypes = {
+    forwardedRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object])
+};
+
+HistogramWithRef.defaultProps = {
+    forwardedRef: null
+};
+
+const SizedHistogram = withSize()(HistogramWithRef);
+
+// Forwarding the ref to the histogram, so that its zoom can be controlled imperatively (e.g., `undo` and `redo`)
+export default React.forwardRef(function SizedHistogramWithRef(props, ref) {
+    return <SizedHistogram {...props} forwardedRef={ref} />;
+});
@@ -1,7 +1,12 @@
 import React, { Fragment } from "react";
 import { timeFormat } from "d3-time-format";
+import { timeDay, timeHour, utcDay, utcHour, utcMinute } from "d3-time";
 import { mount } from "enzyme";
+import { select as d3Select, customEvent } from "d3-selection";
 import { Histogram } from "./Histogram";
+import IntervalHeader from "../IntervalHeader/IntervalHeader";
+import DensityChart from "../DensityChart/DensityChart";
+import { HEADER_HEIGHT } from "../constants";
 
 import { smallSample } from "../../stories/sampleData";
 
@@ -145,6 +150,1340 @@ describe("_onResizeZoom", () => {
     });
 });
 
+describe("controlled brush domain", () => {
+    let onBrushDomainChangeSpy, controlledWrapper, controlledInstance;
+
+    const brushDomain = { min: 1533309900034, max: 1533800000000 };
+
+    beforeEach(() => {
+        onBrushDomainChangeSpy = jest.fn();
+
+        controlledWrapper = mount(<Histogram
+            data={smallSample}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            brushDomain={brushDomain}
+            onBrushDomainChange={onBrushDomainChangeSpy}
+            onIntervalChange={onIntervalChangeSpy}
+        />);
+
+        controlledInstance = controlledWrapper.instance();
+    });
+
+    it("proposes the brushed domain to the parent instead of applying it", () => {
+        controlledInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533400000000]);
+
+        expect(onBrushDomainChangeSpy).toHaveBeenCalledWith({ min: 1533309900034, max: 1533400000000 });
+        expect(controlledInstance.state.brushTimeDomain).toEqual(brushDomain);
+    });
+
+    it("does not propose the brushed domain if it is the same as the one from the props", () => {
+        controlledInstance._updateBrushedDomainAndReRenderTheHistogramPlot([brushDomain.min, brushDomain.max]);
+
+        expect(onBrushDomainChangeSpy).not.toHaveBeenCalled();
+    });
+
+    it("does not propose the domain when the zoom is moved to reflect the props", () => {
+        controlledWrapper.setProps({ brushDomain: { min: 1533309900034, max: 1533500000000 } });
+
+        expect(onBrushDomainChangeSpy).not.toHaveBeenCalled();
+    });
+
+    it("applies the brush domain when the parent passes a new one", () => {
+        const nextBrushDomain = { min: 1533309900034, max: 1533500000000 };
+
+        onIntervalChangeSpy.mockClear();
+
+        controlledWrapper.setProps({ brushDomain: nextBrushDomain });
+
+        expect(controlledInstance.state.brushTimeDomain).toEqual(nextBrushDomain);
+        expect(onIntervalChangeSpy).toHaveBeenCalledWith([nextBrushDomain.min, nextBrushDomain.max], false);
+    });
+
+    it("proposes the domain selected in the density chart without zooming", () => {
+        controlledInstance._applyZoomTransformForBrushDomain = jest.fn();
+
+        controlledInstance._onDensityChartDomainChanged([0, 100]);
+
+        expect(onBrushDomainChangeSpy).toHaveBeenCalledTimes(1);
+        expect(controlledInstance._applyZoomTransformForBrushDomain).not.toHaveBeenCalled();
+    });
+});
+
+describe("canvas renderer", () => {
+    let canvasWrapper, canvasInstance, canvasRenderUtilsMock;
+
+    beforeEach(() => {
+        canvasRenderUtilsMock = require("../canvasRenderUtils");
+        canvasRenderUtilsMock.drawRect.mockClear();
+
+        canvasWrapper = mount(<Histogram
+            data={smallSample}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            renderer="canvas"
+        />);
+
+        canvasInstance = canvasWrapper.instance();
+    });
+
+    it("draws the bars in the canvas instead of rendering svg elements", () => {
+        expect(canvasRenderUtilsMock.drawRect).toHaveBeenCalled();
+        expect(canvasWrapper.find("rect").length).toBe(0);
+        expect(canvasWrapper.find("canvas.fdz-css-graph-histogram-chart__canvas").length).toBe(1);
+    });
+
+    it("finds the bar at the given position", () => {
+        expect(canvasInstance._getHistogramBarHitArea(5, 5)).toEqual({ index: 0, x: 1, y: 1, width: 10, height: 10 });
+        expect(canvasInstance._getHistogramBarHitArea(50, 50)).toBe(null);
+    });
+
+    it("shows the tooltip when the mouse moves over a bar and hides it when it moves away", () => {
+        const chart = canvasWrapper.find("svg.fdz-css-graph-histogram-chart");
+
+        chart.simulate("mousemove", { clientX: 5, clientY: 5 });
+
+        expect(canvasInstance.state.showHistogramBarTooltip).toBe(true);
+        expect(canvasInstance.state.currentBar).toBe(canvasInstance.state.timeHistogramBars[0]);
+
+        chart.simulate("mousemove", { clientX: 50, clientY: 50 });
+
+        expect(canvasInstance.state.showHistogramBarTooltip).toBe(false);
+    });
+
+    it("calls props.onBarClick with the bar under the mouse when clicking", () => {
+        const onBarClick = jest.fn();
+
+        canvasWrapper.setProps({ onBarClick });
+        canvasWrapper.find("svg.fdz-css-graph-histogram-chart").simulate("click", { clientX: 5, clientY: 5 });
+        canvasWrapper.find("svg.fdz-css-graph-histogram-chart").simulate("click", { clientX: 50, clientY: 50 });
+
+        expect(onBarClick).toHaveBeenCalledTimes(1);
+        expect(onBarClick.mock.calls[0][0]).toBe(canvasInstance.state.timeHistogramBars[0]);
+    });
+
+    it("redraws the bars when the hovered bar changes", () => {
+        canvasRenderUtilsMock.drawRect.mockClear();
+
+        canvasWrapper.find("svg.fdz-css-graph-histogram-chart").simulate("mousemove", { clientX: 5, clientY: 5 });
+
+        expect(canvasRenderUtilsMock.drawRect).toHaveBeenCalled();
+    });
+
+    it("draws the stacked bars whose series cancel each other out", () => {
+        const histogramBarGeometryMock = require("./histogramBarGeometry");
+        const calculatePositionAndDimensionsSpy = jest.spyOn(histogramBarGeometryMock, "calculatePositionAndDimensions")
+            .mockImplementation(() => ({ x: 1, y: 7, width: 10, height: 0 }));
+        const calculateStackedSegmentsSpy = jest.spyOn(
+            histogramBarGeometryMock,
+            "calculateStackedSegmentsPositionAndDimensions"
+        ).mockImplementation(() => [
+            { key: "a", x: 1, y: 2, width: 10, height: 5 },
+            { key: "b", x: 1, y: 7, width: 10, height: 5 }
+        ]);
+
+        canvasWrapper.setProps({ seriesAccessor: (datapoint) => (datapoint.total > 0.5 ? "a" : "b") });
+        canvasInstance.state.timeHistogramBars = [{
+            x0: new Date(0),
+            x1: new Date(1000),
+            yValue: 0,
+            series: [
+                { key: "a", yValue: 5, y0: 0, y1: 5 },
+                { key: "b", yValue: -5, y0: -5, y1: 0 }
+            ]
+        }];
+        canvasRenderUtilsMock.drawRect.mockClear();
+        canvasInstance._drawHistogramBarsOnCanvas();
+
+        expect(canvasRenderUtilsMock.drawRect).toHaveBeenCalledTimes(2);
+        expect(canvasInstance._getHistogramBarHitArea(5, 10)).toEqual({ index: 0, x: 1, y: 2, width: 10, height: 10 });
+
+        calculatePositionAndDimensionsSpy.mockRestore();
+        calculateStackedSegmentsSpy.mockRestore();
+    });
+});
+
+describe("worker pipeline", () => {
+    let worker, workerWrapper, workerInstance;
+
+    beforeEach(() => {
+        global.URL.createObjectURL = jest.fn(() => "blob:worker");
+        global.URL.revokeObjectURL = jest.fn();
+        global.Worker = jest.fn(function () {
+            this.postMessage = jest.fn();
+            this.terminate = jest.fn();
+            worker = this;
+        });
+
+        workerWrapper = mount(<Histogram
+            data={smallSample}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            useWorker
+        />);
+
+        workerInstance = workerWrapper.instance();
+    });
+
+    afterEach(() => {
+        delete global.Worker;
+        delete global.URL.createObjectURL;
+        delete global.URL.revokeObjectURL;
+    });
+
+    it("sends the data to the worker and requests the bins", () => {
+        const messageTypes = worker.postMessage.mock.calls.map(([message]) => message.type);
+
+        expect(messageTypes).toEqual(["data", "bins"]);
+    });
+
+    it("updates the histogram bars when the worker sends the bins", () => {
+        const { id } = worker.postMessage.mock.calls[1][0];
+
+        worker.onmessage({
+            data: {
+                type: "bins",
+                id,
+                bins: [{ x0: 1533309900034, x1: 1534164400001, yValue: 5, seriesValues: null }]
+            }
+        });
+
+        expect(workerInstance.state.timeHistogramBars).toEqual([{
+            x0: new Date(1533309900034),
+            x1: new Date(1534164400001),
+            yValue: 5
+        }]);
+        expect(workerInstance.histogramChartYScale.domain()).toEqual([0, 5]);
+    });
+
+    it("calculates the bins in the main thread if the aggregation is not a sum", () => {
+        worker.postMessage.mockClear();
+
+        workerWrapper.setProps({ aggregate: "max" });
+
+        expect(worker.postMessage).not.toHaveBeenCalled();
+        expect(workerInstance.state.timeHistogramBars.length).toBeGreaterThan(0);
+    });
+
+    it("calculates the bins in the main thread if the worker fails", () => {
+        worker.onerror({ preventDefault: jest.fn() });
+
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(workerInstance.workerPipeline).toBe(null);
+        expect(workerInstance.state.timeHistogramBars.length).toBeGreaterThan(0);
+    });
+
+    it("terminates the worker when unmounting", () => {
+        workerWrapper.unmount();
+
+        expect(worker.terminate).toHaveBeenCalled();
+    });
+});
+
+describe("data requests", () => {
+    const requestedData = [{ timestamp: 1533309900034, total: 3 }];
+
+    let onRequestDataSpy, requestWrapper, requestInstance, requests;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        requests = [];
+        onRequestDataSpy = jest.fn(() => new Promise((resolve, reject) => {
+            requests.push({ resolve, reject });
+        }));
+
+        requestWrapper = mount(<Histogram
+            data={smallSample}
+            size={{ width: 1000 }}
+            height={150}
+            defaultBarCount={10}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            onRequestData={onRequestDataSpy}
+        />);
+
+        requestInstance = requestWrapper.instance();
+    });
+
+    afterEach(() => {
+        requestWrapper.unmount();
+        jest.useRealTimers();
+    });
+
+    it("requests the data of the brushed domain once it stops changing", () => {
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533400000000]);
+        jest.advanceTimersByTime(200);
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533500000000]);
+        jest.advanceTimersByTime(200);
+
+        expect(onRequestDataSpy).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(100);
+
+        expect(onRequestDataSpy).toHaveBeenCalledTimes(1);
+        expect(onRequestDataSpy).toHaveBeenCalledWith({ min: 1533309900034, max: 1533500000000 }, 19009996.6);
+    });
+
+    it("renders the loading state until the data arrives and then renders it", async () => {
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533500000000]);
+        jest.runAllTimers();
+        requestWrapper.update();
+
+        expect(requestWrapper.find(".fdz-css-graph-histogram-chart__loading").exists()).toBe(true);
+
+        requests[0].resolve(requestedData);
+        await onRequestDataSpy.mock.results[0].value;
+        requestWrapper.update();
+
+        expect(requestWrapper.find(".fdz-css-graph-histogram-chart__loading").exists()).toBe(false);
+        expect(requestInstance._getHistogramBarsData()).toBe(requestedData);
+    });
+
+    it("stops rendering the loading state when a pending request is followed by one without a promise", () => {
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533500000000]);
+        jest.runAllTimers();
+
+        expect(requestInstance.state.isLoadingData).toBe(true);
+
+        onRequestDataSpy.mockImplementationOnce(() => undefined);
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533400000000]);
+        jest.runAllTimers();
+        requestWrapper.update();
+
+        expect(onRequestDataSpy).toHaveBeenCalledTimes(2);
+        expect(requestInstance.state.isLoadingData).toBe(false);
+        expect(requestWrapper.find(".fdz-css-graph-histogram-chart__loading").exists()).toBe(false);
+    });
+
+    it("ignores the data of a request if the brushed domain has changed since", async () => {
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533500000000]);
+        jest.runAllTimers();
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533600000000]);
+
+        requests[0].resolve(requestedData);
+        await onRequestDataSpy.mock.results[0].value;
+
+        expect(requestInstance.state.isLoadingData).toBe(true);
+        expect(requestInstance._getHistogramBarsData()).toBe(smallSample);
+    });
+
+    it("stops the loading state if the request fails", async () => {
+        requestInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533500000000]);
+        jest.runAllTimers();
+
+        requests[0].reject(new Error("Network error"));
+        await onRequestDataSpy.mock.results[0].value.catch(() => {});
+
+        expect(requestInstance.state.isLoadingData).toBe(false);
+    });
+
+    it("requests the data of the window again when following the latest data", async () => {
+        const duration = 100000000;
+        const appendedData = [...smallSample, { timestamp: 1534200000000, total: 1 }];
+
+        requestWrapper.setProps({ followLatest: duration });
+        requestInstance._onJumpToLive();
+        jest.runAllTimers();
+        requests[0].resolve(requestedData);
+        await onRequestDataSpy.mock.results[0].value;
+
+        expect(requestInstance._getHistogramBarsData()).toBe(requestedData);
+
+        requestWrapper.setProps({ data: appendedData });
+
+        expect(requestInstance._getHistogramBarsData()).toBe(appendedData);
+
+        jest.runAllTimers();
+
+        expect(onRequestDataSpy).toHaveBeenCalledTimes(2);
+        expect(onRequestDataSpy.mock.calls[1][0]).toEqual({ min: 1534200000001 - duration, max: 1534200000001 });
+    });
+});
+
+describe("appended data", () => {
+    it("extends the overall domain and the brushed domain without recreating the zoom", () => {
+        const createScaleAndZoomSpy = jest.spyOn(instance, "_createScaleAndZoom");
+
+        onIntervalChangeSpy.mockClear();
+
+        wrapper.setProps({ data: [...smallSample, { timestamp: 1534200000000, total: 1 }] });
+
+        expect(createScaleAndZoomSpy).not.toHaveBeenCalled();
+        expect(wrapper.state("overallTimeDomain")).toEqual({ min: 1533309900034, max: 1534200000001 });
+        expect(instance.densityChartXScale.domain()).toEqual([new Date(1533309900034), new Date(1534200000001)]);
+        expect(onIntervalChangeSpy).toHaveBeenCalledWith([1533309900034, 1534200000001], true);
+    });
+
+    it("adds the appended data to the histogram bars if the brushed domain is the same", () => {
+        instance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533900000000]);
+
+        const previousBars = wrapper.state("timeHistogramBars");
+
+        wrapper.setProps({ data: [...smallSample, { timestamp: 1533320000000, total: 2 }] });
+
+        const bars = wrapper.state("timeHistogramBars");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: 1533309900034, max: 1533900000000 });
+        expect(bars[0].yValue).toBe(previousBars[0].yValue + 2);
+        expect(bars[1]).toBe(previousBars[1]);
+    });
+
+    it("adds the appended data to the histogram bars if the brushed domain still ends in the last bar", () => {
+        const previousBars = wrapper.state("timeHistogramBars");
+        const barIndex = previousBars.findIndex((bar) => bar.x1 > 1534200000000);
+        const updateHistogramChartScalesSpy = jest.spyOn(instance, "_updateHistogramChartScales");
+
+        wrapper.setProps({ data: [...smallSample, { timestamp: 1534200000000, total: 2 }] });
+
+        const bars = wrapper.state("timeHistogramBars");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: 1533309900034, max: 1534200000001 });
+        expect(updateHistogramChartScalesSpy).not.toHaveBeenCalled();
+        expect(bars[barIndex].yValue).toBe(previousBars[barIndex].yValue + 2);
+        expect(bars[0]).toBe(previousBars[0]);
+    });
+
+    it("calculates the histogram bars again if the brushed domain ends after the last bar", () => {
+        const updateHistogramChartScalesSpy = jest.spyOn(instance, "_updateHistogramChartScales");
+
+        wrapper.setProps({ data: [...smallSample, { timestamp: 1534300000000, total: 2 }] });
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: 1533309900034, max: 1534300000001 });
+        expect(updateHistogramChartScalesSpy).toHaveBeenCalled();
+    });
+});
+
+describe("follow latest", () => {
+    const duration = 100000000;
+
+    let followWrapper, followInstance, onFollowIntervalChangeSpy;
+
+    beforeEach(() => {
+        onFollowIntervalChangeSpy = jest.fn();
+
+        followWrapper = mount(<Histogram
+            data={smallSample}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            onIntervalChange={onFollowIntervalChangeSpy}
+            followLatest={duration}
+        />);
+
+        followInstance = followWrapper.instance();
+    });
+
+    it("brushes the window at the end of the data", () => {
+        expect(followWrapper.state("brushTimeDomain")).toEqual({
+            min: 1534164400001 - duration,
+            max: 1534164400001
+        });
+        expect(onFollowIntervalChangeSpy).toHaveBeenCalledWith([1534164400001 - duration, 1534164400001], false);
+        expect(followWrapper.find("DensityChart").prop("onJumpToLive")).toBe(null);
+    });
+
+    it("moves the window when new data arrives", () => {
+        followWrapper.setProps({ data: [...smallSample, { timestamp: 1534200000000, total: 1 }] });
+
+        expect(followWrapper.state("brushTimeDomain")).toEqual({
+            min: 1534200000001 - duration,
+            max: 1534200000001
+        });
+        expect(onFollowIntervalChangeSpy).toHaveBeenLastCalledWith([1534200000001 - duration, 1534200000001], false);
+    });
+
+    it("stops following the latest data when the user changes the brushed domain", () => {
+        followInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533900000000]);
+        followWrapper.setProps({ data: [...smallSample, { timestamp: 1534200000000, total: 1 }] });
+
+        expect(followWrapper.state("brushTimeDomain")).toEqual({ min: 1533309900034, max: 1533900000000 });
+        expect(followWrapper.find("DensityChart").prop("onJumpToLive")).toBe(followInstance._onJumpToLive);
+    });
+
+    it("follows the latest data again when jumping to live", () => {
+        followInstance._updateBrushedDomainAndReRenderTheHistogramPlot([1533309900034, 1533900000000]);
+        followInstance._onJumpToLive();
+
+        expect(followWrapper.state("brushTimeDomain")).toEqual({
+            min: 1534164400001 - duration,
+            max: 1534164400001
+        });
+        expect(onFollowIntervalChangeSpy).toHaveBeenLastCalledWith([1534164400001 - duration, 1534164400001], false);
+    });
+});
+
+describe("bin interval", () => {
+    it("aligns the histogram domain with the bin interval", () => {
+        wrapper.setProps({ binInterval: timeDay });
+
+        const [ domainMin, domainMax ] = instance.histogramChartXScale.domain();
+
+        expect(timeDay.floor(domainMin)).toEqual(domainMin);
+        expect(timeDay.floor(domainMax)).toEqual(domainMax);
+    });
+
+    it("uses the interval returned by the given function", () => {
+        const binInterval = jest.fn(() => timeHour);
+
+        wrapper.setProps({ binInterval });
+
+        const { min, max } = wrapper.state("brushTimeDomain");
+
+        expect(binInterval).toHaveBeenCalledWith(max - min);
+        expect(instance._calculateBarDuration({ min, max })).toBe(60 * 60 * 1000);
+    });
+});
+
+describe("time zone", () => {
+    it("aligns the bins with the intervals of the time zone", () => {
+        wrapper.setProps({ timeZone: "America/Sao_Paulo", binInterval: utcDay });
+
+        instance.histogramChartXScale.ticks(utcDay).forEach((tick) => {
+            expect(tick.getUTCHours()).toBe(3);
+            expect(tick.getUTCMinutes()).toBe(0);
+        });
+        expect(instance._calculateBarDuration(wrapper.state("brushTimeDomain"))).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it("formats the x axis in the time zone by default", () => {
+        wrapper.setProps({ timeZone: "UTC", xAxisFormatter: Histogram.defaultProps.xAxisFormatter });
+
+        expect(instance._getXAxisFormatter()(new Date(Date.UTC(2019, 0, 1)))).toBe("2019");
+    });
+
+    it("keeps the given x axis formatter", () => {
+        wrapper.setProps({ timeZone: "UTC" });
+
+        expect(instance._getXAxisFormatter()).toBe(formatMinute);
+    });
+});
+
+describe("locale", () => {
+    const locale = {
+        time: {
+            dateTime: "%A, %e de %B de %Y. %X",
+            date: "%d/%m/%Y",
+            time: "%H:%M:%S",
+            periods: ["AM", "PM"],
+            days: ["domingo", "segunda", "terça", "quarta", "quinta", "sexta", "sábado"],
+            shortDays: ["dom", "seg", "ter", "qua", "qui", "sex", "sáb"],
+            months: ["janeiro", "fevereiro", "março", "abril", "maio", "junho", "julho", "agosto", "setembro",
+                "outubro", "novembro", "dezembro"],
+            shortMonths: ["jan", "fev", "mar", "abr", "mai", "jun", "jul", "ago", "set", "out", "nov", "dez"]
+        },
+        number: {
+            decimal: ",",
+            thousands: ".",
+            grouping: [3],
+            currency: ["", " €"]
+        }
+    };
+
+    beforeEach(() => {
+        wrapper.setProps({
+            locale,
+            timeZone: "UTC",
+            xAxisFormatter: Histogram.defaultProps.xAxisFormatter,
+            yAxisFormatter: Histogram.defaultProps.yAxisFormatter
+        });
+    });
+
+    it("formats the x axis with the names and the clock of the locale by default", () => {
+        const xAxisFormatter = instance._getXAxisFormatter();
+
+        expect(xAxisFormatter(new Date(Date.UTC(2019, 1, 1)))).toBe("fevereiro");
+        expect(xAxisFormatter(new Date(Date.UTC(2019, 1, 1, 14)))).toBe("14:00");
+    });
+
+    it("formats the y axis with the grouping of the locale by default", () => {
+        expect(instance._getYAxisFormatter()(12000)).toBe("12.000");
+    });
+
+    it("re-renders the axis when the locale changes", () => {
+        jest.spyOn(instance, "_renderHistogramAxis");
+
+        wrapper.setProps({ locale: { number: locale.number } });
+
+        expect(instance._renderHistogramAxis).toHaveBeenCalled();
+    });
+});
+
+describe("numeric x axis", () => {
+    const amounts = [
+        { amount: 10, count: 1 },
+        { amount: 250, count: 2 },
+        { amount: 1500, count: 1 }
+    ];
+
+    let linearWrapper;
+
+    beforeEach(() => {
+        linearWrapper = mount(<Histogram
+            data={amounts}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.amount}
+            yAccessor={(datapoint) => datapoint.count}
+            xScaleType="linear"
+            binInterval={timeDay}
+            minZoomUnit={10}
+        />);
+    });
+
+    it("uses the values as the domain", () => {
+        expect(linearWrapper.state("overallTimeDomain")).toEqual({ min: 10, max: 1500 });
+        expect(linearWrapper.instance().densityChartXScale.domain()).toEqual([10, 1500]);
+        expect(linearWrapper.instance().histogramChartXScale.domain()).toEqual([0, 1500]);
+    });
+
+    it("interprets the minZoomUnit in value units", () => {
+        expect(linearWrapper.instance()._calculateMaxZoomValue()).toBe(149);
+    });
+
+    it("doesn't allow zooming in if the values span less than the minZoomUnit", () => {
+        linearWrapper.setProps({ minZoomUnit: 1000, data: amounts.slice(0, 2) });
+
+        const linearInstance = linearWrapper.instance();
+
+        expect(linearInstance._calculateMaxZoomValue()).toBe(1);
+        expect(linearInstance.zoom.scaleExtent()).toEqual([1, 1]);
+    });
+
+    it("ignores the bin interval", () => {
+        expect(linearWrapper.instance()._calculateBarDuration({ min: 0, max: 1800 })).toBe(100);
+    });
+
+    it("formats the x axis values as numbers by default", () => {
+        expect(linearWrapper.instance()._getXAxisFormatter()(1500)).toBe("1,500");
+    });
+
+    it("brushes numeric values when zooming", () => {
+        const linearInstance = linearWrapper.instance();
+
+        jest.spyOn(linearInstance, "_updateBrushedDomainAndReRenderTheHistogramPlot");
+
+        linearInstance.histogramChartRef.current
+            .dispatchEvent(new WheelEvent("wheel", { deltaY: -100 }));
+
+        const [ brushedDomain ] = linearInstance._updateBrushedDomainAndReRenderTheHistogramPlot.mock.calls[0];
+
+        expect(typeof brushedDomain[0]).toBe("number");
+        expect(brushedDomain[0]).toBeGreaterThanOrEqual(10);
+        expect(brushedDomain[1]).toBeLessThan(1500);
+    });
+});
+
+describe("y scale type", () => {
+    it("recreates the y scale when the type changes", () => {
+        wrapper.setProps({ yScaleType: "sqrt" });
+
+        const maxY = instance.histogramChartYScale.domain()[1];
+
+        expect(instance.histogramChartYScale(maxY / 4)).toBeCloseTo(instance.histogramChartYScale.range()[0] / 2);
+    });
+
+    it("renders the zero bins with no height in a log scale", () => {
+        wrapper.setProps({ yScaleType: "log" });
+
+        const { heightForBars } = wrapper.state("histogramChartDimensions");
+
+        expect(instance.histogramChartYScale(0)).toBe(heightForBars);
+        expect(instance.histogramChartYScale.domain()[0]).toBeGreaterThan(0);
+    });
+
+    it("only labels some of the log scale ticks by default", () => {
+        wrapper.setProps({
+            yScaleType: "log",
+            yAxisFormatter: Histogram.defaultProps.yAxisFormatter
+        });
+
+        const yAxisFormatter = instance._getYAxisFormatter();
+
+        expect(yAxisFormatter(1)).toBe(1);
+        expect(yAxisFormatter(0.9)).toBe("");
+    });
+});
+
+describe("pre-binned data", () => {
+    const buckets = [
+        { x0: 1533294000000, x1: 1533337200000, value: 4 },
+        { x0: 1533337200000, x1: 1533380400000, value: 2 }
+    ];
+
+    let preBinnedWrapper;
+
+    beforeEach(() => {
+        preBinnedWrapper = mount(<Histogram
+            data={buckets}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            preBinned
+        />);
+    });
+
+    it("uses the buckets limits as the domain", () => {
+        expect(preBinnedWrapper.state("overallTimeDomain")).toEqual({ min: 1533294000000, max: 1533380400000 });
+    });
+
+    it("calculates the bins from the buckets", () => {
+        expect(preBinnedWrapper.state("timeHistogramBars").map(({ x0, x1, yValue }) => [x0, x1, yValue])).toEqual([
+            [new Date(1533294000000), new Date(1533337200000), 4],
+            [new Date(1533337200000), new Date(1533380400000), 2]
+        ]);
+        expect(preBinnedWrapper.instance().histogramChartYScale.domain()).toEqual([0, 4]);
+    });
+
+    it("passes the buckets accessor to the density chart", () => {
+        const densityChart = preBinnedWrapper.find("DensityChart");
+
+        expect(densityChart.prop("preBinned")).toBe(true);
+        expect(densityChart.prop("xAccessor")(buckets[0])).toBe(1533294000000);
+    });
+});
+
+describe("overlays", () => {
+    it("renders a line per overlay over the bars", () => {
+        wrapper.setProps({
+            overlays: [
+                { key: "average", transform: "movingAverage", color: "red" },
+                { key: "total", transform: "cumulative" }
+            ]
+        });
+        wrapper.update();
+
+        const lines = wrapper.find("path.fdz-css-graph-histogram-overlays__line");
+
+        expect(lines.map((line) => line.key())).toEqual(["average", "total"]);
+        expect(lines.at(0).prop("style")).toEqual({ stroke: "red" });
+        expect(lines.at(1).prop("d")).toMatch(/^M/);
+    });
+
+    it("extends the y domain with the values of the overlays of the left axis", () => {
+        wrapper.setProps({ overlays: [{ key: "total", transform: "cumulative" }] });
+
+        const total = wrapper.state("timeHistogramBars").reduce((sum, bar) => sum + bar.yValue, 0);
+
+        expect(instance.histogramChartYScale.domain()[1]).toBeGreaterThanOrEqual(total);
+    });
+
+    it("uses its own scale and axis for the overlays of the right axis", () => {
+        const data = [{ timestamp: smallSample[0].timestamp, rate: 50 }];
+
+        wrapper.setProps({
+            overlays: [{ key: "rate", data, xAccessor: (elm) => elm.timestamp, yAccessor: (elm) => elm.rate,
+                yAxis: "right" }]
+        });
+        wrapper.update();
+
+        expect(instance.histogramChartRightYScale.domain()).toEqual([0, 50]);
+        expect(wrapper.find(".fdz-css-graph-histogram-axis-y--right").exists()).toBe(true);
+    });
+
+    it("doesn't render the right axis if there are no overlays on it", () => {
+        expect(instance.histogramChartRightYScale).toBe(null);
+        expect(wrapper.find(".fdz-css-graph-histogram-axis-y--right").exists()).toBe(false);
+    });
+});
+
+describe("annotations", () => {
+    beforeEach(() => {
+        const [ domainMin, domainMax ] = instance.histogramChartXScale.domain().map(Number);
+
+        wrapper.setProps({
+            annotations: [
+                { key: "sla", type: "y", value: 0.5, label: "SLA", tooltip: "The SLA threshold" },
+                { key: "deploy", type: "x", value: domainMin + (domainMax - domainMin) / 2, label: "Deploy" },
+                { key: "incident", type: "range", from: domainMin, to: domainMin + 1000, color: "orange" },
+                { key: "outside", type: "x", value: domainMax * 2 }
+            ]
+        });
+    });
+
+    it("positions the annotations with the histogram scales", () => {
+        const yLine = wrapper.find(".fdz-css-graph-histogram-annotations__y line");
+        const xLine = wrapper.find(".fdz-css-graph-histogram-annotations__x line");
+
+        expect(yLine.prop("y1")).toBe(instance.histogramChartYScale(0.5));
+        expect(xLine.prop("x1")).toBe(instance.histogramChartXScale(wrapper.prop("annotations")[1].value));
+        expect(wrapper.find(".fdz-css-graph-histogram-annotations__range rect").prop("style")).toEqual({
+            fill: "orange"
+        });
+    });
+
+    it("renders the labels and the tooltips of the annotations", () => {
+        const yAnnotation = wrapper.find(".fdz-css-graph-histogram-annotations__y");
+
+        expect(yAnnotation.find("text").text()).toBe("SLA");
+        expect(yAnnotation.find("title").text()).toBe("The SLA threshold");
+    });
+
+    it("extends the y domain to the y annotations above the bars", () => {
+        const maxYValue = instance.histogramChartYScale.domain()[1];
+
+        wrapper.setProps({ annotations: [{ key: "sla", type: "y", value: maxYValue * 2, label: "SLA" }] });
+        wrapper.update();
+
+        expect(instance.histogramChartYScale.domain()[1]).toBeGreaterThanOrEqual(maxYValue * 2);
+        expect(wrapper.find(".fdz-css-graph-histogram-annotations__y line").prop("y1"))
+            .toBe(instance.histogramChartYScale(maxYValue * 2));
+    });
+
+    it("doesn't render the annotations outside of the brushed domain", () => {
+        expect(wrapper.find(".fdz-css-graph-histogram-annotations__x").length).toBe(1);
+    });
+
+    it("passes the annotations to the density chart", () => {
+        expect(wrapper.find("DensityChart").prop("annotations")).toHaveLength(4);
+    });
+});
+
+describe("negative values", () => {
+    let negativeWrapper;
+
+    beforeEach(() => {
+        negativeWrapper = mount(<Histogram
+            data={[
+                { x0: 1533294000000, x1: 1533337200000, value: 4 },
+                { x0: 1533337200000, x1: 1533380400000, value: -2 }
+            ]}
+            size={{ width: 1000 }}
+            height={150}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            preBinned
+        />);
+    });
+
+    it("spans the y domain from the smallest to the biggest value", () => {
+        expect(negativeWrapper.instance().histogramChartYScale.domain()).toEqual([-2, 4]);
+    });
+
+    it("renders the zero baseline", () => {
+        const baseline = negativeWrapper.find("line.fdz-css-graph-histogram-chart__baseline");
+
+        expect(baseline.prop("y1")).toBe(negativeWrapper.instance().histogramChartYScale(0));
+    });
+
+    it("renders the negative bars with a different class", () => {
+        const bars = negativeWrapper.find(".fdz-css-graph-histogram-bars rect");
+
+        expect(bars.at(0).prop("className")).toBe(undefined);
+        expect(bars.at(1).prop("className")).toBe("fdz-css-graph-histogram-bars--negative");
+    });
+
+    it("doesn't render the zero baseline if there are only positive values", () => {
+        expect(wrapper.find("line.fdz-css-graph-histogram-chart__baseline").exists()).toBe(false);
+    });
+});
+
+describe("bar clicks", () => {
+    it("calls props.onBarClick with the clicked bar and the event", () => {
+        const onBarClick = jest.fn();
+
+        wrapper.setProps({ onBarClick });
+        wrapper.find(".fdz-css-graph-histogram-bars rect").at(3).simulate("click");
+
+        expect(onBarClick).toHaveBeenCalledWith(wrapper.state("timeHistogramBars")[3], expect.anything());
+    });
+
+    it("doesn't handle clicks if there is no onBarClick and zoomOnBarClick is not enabled", () => {
+        expect(wrapper.find(".fdz-css-graph-histogram-bars rect").at(3).prop("onClick")).toBe(null);
+    });
+
+    it("zooms to the interval of the clicked bar with zoomOnBarClick", () => {
+        const bar = wrapper.state("timeHistogramBars")[3];
+
+        wrapper.setProps({ zoomOnBarClick: true });
+        onIntervalChangeSpy.mockClear();
+
+        wrapper.find(".fdz-css-graph-histogram-bars rect").at(3).simulate("click");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: bar.x0.getTime(), max: bar.x1.getTime() });
+        expect(onIntervalChangeSpy).toHaveBeenLastCalledWith([bar.x0.getTime(), bar.x1.getTime()], false);
+    });
+
+    it("zooms to the interval of a double clicked bar once, without resetting the zoom", () => {
+        const bar = wrapper.state("timeHistogramBars")[3];
+
+        wrapper.setProps({ zoomOnBarClick: true });
+
+        wrapper.find(".fdz-css-graph-histogram-bars rect").at(3).simulate("click", { detail: 1 });
+        wrapper.find(".fdz-css-graph-histogram-bars rect").at(3).simulate("click", { detail: 2 });
+        wrapper.find("svg.fdz-css-graph-histogram-chart").simulate("doubleclick");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: bar.x0.getTime(), max: bar.x1.getTime() });
+        expect(wrapper.state("zoomHistory").past).toHaveLength(1);
+    });
+
+    it("doesn't zoom outside of the data when clicking the first bar", () => {
+        wrapper.setProps({ zoomOnBarClick: true });
+
+        wrapper.find(".fdz-css-graph-histogram-bars rect").at(0).simulate("click");
+
+        expect(wrapper.state("brushTimeDomain").min).toBe(wrapper.state("overallTimeDomain").min);
+    });
+});
+
+describe("bar selection", () => {
+    let onSelectionChange;
+
+    const getBarRect = (index) => wrapper.find(".fdz-css-graph-histogram-bars rect").at(index);
+    const getBarRange = (index) => {
+        const { x0, x1 } = wrapper.state("timeHistogramBars")[index];
+
+        return { min: x0.getTime(), max: x1.getTime() };
+    };
+
+    beforeEach(() => {
+        onSelectionChange = jest.fn();
+        wrapper.setProps({ onSelectionChange });
+    });
+
+    it("selects the clicked bar and marks the other ones as unselected", () => {
+        getBarRect(3).simulate("click");
+
+        expect(onSelectionChange).toHaveBeenCalledWith([getBarRange(3)]);
+        expect(getBarRect(3).prop("className")).toBe("fdz-css-graph-histogram-bars--selected");
+        expect(getBarRect(0).prop("className")).toBe("fdz-css-graph-histogram-bars--unselected");
+    });
+
+    it("selects the bars between the last clicked bar and the shift-clicked one", () => {
+        getBarRect(0).simulate("click");
+        getBarRect(3).simulate("click", { shiftKey: true });
+
+        expect(onSelectionChange).toHaveBeenLastCalledWith([{ min: getBarRange(0).min, max: getBarRange(3).max }]);
+    });
+
+    it("toggles the ctrl-clicked bars", () => {
+        getBarRect(0).simulate("click");
+        getBarRect(3).simulate("click", { ctrlKey: true });
+
+        expect(onSelectionChange).toHaveBeenLastCalledWith([getBarRange(0), getBarRange(3)]);
+
+        getBarRect(0).simulate("click", { ctrlKey: true });
+
+        expect(onSelectionChange).toHaveBeenLastCalledWith([getBarRange(3)]);
+    });
+
+    it("uses the selection from props when it is controlled", () => {
+        wrapper.setProps({ selectedBins: [getBarRange(0)] });
+
+        getBarRect(3).simulate("click", { ctrlKey: true });
+
+        expect(onSelectionChange).toHaveBeenLastCalledWith([getBarRange(0), getBarRange(3)]);
+        expect(getBarRect(3).prop("className")).toBe("fdz-css-graph-histogram-bars--unselected");
+        expect(getBarRect(0).prop("className")).toBe("fdz-css-graph-histogram-bars--selected");
+    });
+
+    it("keeps the selection by time when the bars change", () => {
+        const { min, max } = getBarRange(3);
+        const middle = (min + max) / 2;
+
+        getBarRect(3).simulate("click");
+
+        // Splitting the selected bar in two, like zooming in would
+        instance._updateHistogramBars([
+            { x0: new Date(min - 1000), x1: new Date(min), yValue: 1 },
+            { x0: new Date(min), x1: new Date(middle), yValue: 1 },
+            { x0: new Date(middle), x1: new Date(max), yValue: 1 }
+        ]);
+        wrapper.update();
+
+        expect(getBarRect(0).prop("className")).toBe("fdz-css-graph-histogram-bars--unselected");
+        expect(getBarRect(1).prop("className")).toBe("fdz-css-graph-histogram-bars--selected");
+        expect(getBarRect(2).prop("className")).toBe("fdz-css-graph-histogram-bars--selected");
+    });
+});
+
+describe("brushing the histogram chart", () => {
+    const getBrush = () => wrapper.find(".fdz-css-graph-histogram-chart__brush");
+
+    it("doesn't render the brush unless brushToZoom is enabled", () => {
+        expect(getBrush().exists()).toBe(false);
+
+        wrapper.setProps({ brushToZoom: true });
+
+        expect(getBrush().exists()).toBe(true);
+        expect(getBrush().getDOMNode().querySelector(".overlay")).not.toBe(null);
+    });
+
+    it("only activates the brush while the modifier key is pressed", () => {
+        wrapper.setProps({ brushToZoom: true, brushModifierKey: "shift" });
+
+        expect(getBrush().hasClass("fdz-css-graph-histogram-chart__brush--active")).toBe(false);
+
+        window.dispatchEvent(new KeyboardEvent("keydown", { key: "Shift", shiftKey: true }));
+        wrapper.update();
+
+        expect(getBrush().hasClass("fdz-css-graph-histogram-chart__brush--active")).toBe(true);
+
+        window.dispatchEvent(new KeyboardEvent("keyup", { key: "Shift", shiftKey: false }));
+        wrapper.update();
+
+        expect(getBrush().hasClass("fdz-css-graph-histogram-chart__brush--active")).toBe(false);
+    });
+
+    it("brushes the range from the pressed point to the released one with the default modifier key", () => {
+        const { min, max } = wrapper.state("overallTimeDomain");
+        const modifierKeyProperty = `${Histogram.defaultProps.brushModifierKey}Key`;
+        const createMouseEvent = (type, clientX) => new MouseEvent(type, {
+            bubbles: true,
+            view: window,
+            clientX,
+            [modifierKeyProperty]: true
+        });
+
+        // jsdom calls the listeners of the window without a `this`, which d3 needs, so we call them ourselves
+        const dragWindowMouse = (type, clientX) => customEvent(createMouseEvent(type, clientX),
+            d3Select(window).on(`${type}.brush`), window);
+
+        wrapper.setProps({ brushToZoom: true });
+        window.dispatchEvent(new KeyboardEvent("keydown", { [modifierKeyProperty]: true }));
+        wrapper.update();
+
+        expect(getBrush().hasClass("fdz-css-graph-histogram-chart__brush--active")).toBe(true);
+
+        const fromX = instance.histogramChartXScale(min + (max - min) / 4);
+        const toX = instance.histogramChartXScale(min + (max - min) / 2);
+        const pixelDuration = instance.histogramChartXScale.invert(1) - instance.histogramChartXScale.invert(0);
+
+        getBrush().getDOMNode().querySelector(".overlay").dispatchEvent(createMouseEvent("mousedown", fromX));
+        dragWindowMouse("mousemove", toX);
+        dragWindowMouse("mouseup", toX);
+
+        // Alt would brush a range centered on the pressed point instead, whose start is at the start of the data
+        expect(Math.abs(wrapper.state("brushTimeDomain").min - (min + (max - min) / 4))).toBeLessThan(pixelDuration);
+        expect(Math.abs(wrapper.state("brushTimeDomain").max - (min + (max - min) / 2))).toBeLessThan(pixelDuration);
+    });
+
+    it("only listens to the modifier key while brushToZoom is enabled", () => {
+        const setStateSpy = jest.spyOn(instance, "setState");
+
+        window.dispatchEvent(new Event("blur"));
+
+        expect(setStateSpy).not.toHaveBeenCalled();
+
+        wrapper.setProps({ brushToZoom: true });
+        window.dispatchEvent(new KeyboardEvent("keydown", { shiftKey: true }));
+
+        expect(wrapper.state("isBrushModifierKeyPressed")).toBe(true);
+
+        wrapper.setProps({ brushToZoom: false });
+        setStateSpy.mockClear();
+        window.dispatchEvent(new Event("blur"));
+
+        expect(setStateSpy).not.toHaveBeenCalled();
+        expect(wrapper.state("isBrushModifierKeyPressed")).toBe(false);
+    });
+
+    it("always activates the brush without a modifier key", () => {
+        wrapper.setProps({ brushToZoom: true, brushModifierKey: null });
+
+        expect(getBrush().hasClass("fdz-css-graph-histogram-chart__brush--active")).toBe(true);
+    });
+
+    it("zooms to the brushed range", () => {
+        const brushedMin = wrapper.state("overallTimeDomain").min + 60 * 60 * 1000;
+        const brushedMax = brushedMin + 60 * 60 * 1000;
+
+        wrapper.setProps({ brushToZoom: true });
+        onIntervalChangeSpy.mockClear();
+
+        instance._onHistogramRangeBrushed([
+            instance.histogramChartXScale(brushedMin),
+            instance.histogramChartXScale(brushedMax)
+        ]);
+
+        expect(wrapper.state("brushTimeDomain").min).toBeCloseTo(brushedMin, -1);
+        expect(wrapper.state("brushTimeDomain").max).toBeCloseTo(brushedMax, -1);
+        expect(onIntervalChangeSpy).toHaveBeenCalled();
+    });
+
+    it("doesn't zoom when the brush is cleared", () => {
+        const { brushTimeDomain } = wrapper.state();
+
+        wrapper.setProps({ brushToZoom: true });
+        instance._onHistogramRangeBrushed(null);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(brushTimeDomain);
+    });
+});
+
+describe("zoom history", () => {
+    const HOUR = 60 * 60 * 1000;
+
+    let now, fullDomain, firstDomain, secondDomain;
+
+    // Zooms like a separate gesture would, after the previous one is over
+    const zoomTo = ({ min, max }) => {
+        now += 1000;
+        instance._zoomToBrushedDomain([ min, max ]);
+    };
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, "now").mockImplementation(() => now);
+
+        fullDomain = wrapper.state("brushTimeDomain");
+        firstDomain = { min: fullDomain.min + HOUR, max: fullDomain.max - HOUR };
+        secondDomain = { min: fullDomain.min + 2 * HOUR, max: fullDomain.max - 2 * HOUR };
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    it("goes back and forward through the brushed domains", () => {
+        zoomTo(firstDomain);
+        zoomTo(secondDomain);
+
+        instance.undo();
+        expect(wrapper.state("brushTimeDomain")).toEqual(firstDomain);
+
+        instance.undo();
+        expect(wrapper.state("brushTimeDomain")).toEqual(fullDomain);
+
+        instance.redo();
+        expect(wrapper.state("brushTimeDomain")).toEqual(firstDomain);
+    });
+
+    it("discards the domains to go forward to when zooming", () => {
+        zoomTo(firstDomain);
+        instance.undo();
+        zoomTo(secondDomain);
+
+        instance.redo();
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(secondDomain);
+        expect(wrapper.state("zoomHistory").future).toEqual([]);
+    });
+
+    it("records the changes of a single gesture as a single entry", () => {
+        zoomTo(firstDomain);
+        instance._zoomToBrushedDomain([ secondDomain.min, secondDomain.max ]);
+
+        instance.undo();
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(fullDomain);
+    });
+
+    it("resets the zoom to the whole data on double click, which can be undone", () => {
+        zoomTo(firstDomain);
+        now += 1000;
+
+        wrapper.find("svg.fdz-css-graph-histogram-chart").simulate("doubleclick");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(wrapper.state("overallTimeDomain"));
+
+        instance.undo();
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(firstDomain);
+    });
+
+    it("records a whole play run as a single entry", () => {
+        instance._onPlayingChange(true);
+        zoomTo(firstDomain);
+        zoomTo(secondDomain);
+        instance._onPlayingChange(false);
+
+        expect(wrapper.state("zoomHistory").past).toEqual([fullDomain]);
+
+        instance.undo();
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(fullDomain);
+    });
+
+    it("only records the domains accepted by the parent when controlled", () => {
+        const onBrushDomainChange = jest.fn();
+
+        wrapper.setProps({ brushDomain: fullDomain, onBrushDomainChange });
+        zoomTo(firstDomain);
+
+        expect(onBrushDomainChange).toHaveBeenCalledWith(firstDomain);
+        expect(wrapper.state("zoomHistory").past).toEqual([]);
+
+        now += 1000;
+        wrapper.setProps({ brushDomain: firstDomain });
+
+        expect(wrapper.state("zoomHistory").past).toEqual([fullDomain]);
+
+        instance.undo();
+
+        expect(onBrushDomainChange).toHaveBeenLastCalledWith(fullDomain);
+        expect(wrapper.state("zoomHistory").past).toEqual([fullDomain]);
+
+        wrapper.setProps({ brushDomain: fullDomain });
+
+        expect(wrapper.state("zoomHistory")).toEqual({ past: [], future: [firstDomain] });
+    });
+
+    it("renders the zoom toolbar", () => {
+        const getButton = (index) => wrapper.find(".fdz-css-graph-histogram-toolbar__btn").at(index);
+
+        wrapper.setProps({ renderZoomToolbar: true });
+
+        expect(getButton(0).prop("disabled")).toBe(true);
+
+        zoomTo(firstDomain);
+        wrapper.update();
+        getButton(0).simulate("click");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(fullDomain);
+        expect(getButton(0).prop("disabled")).toBe(true);
+        expect(getButton(1).prop("disabled")).toBe(false);
+    });
+
+    it("leaves space for the zoom toolbar above the histogram chart", () => {
+        const { height } = wrapper.state("histogramChartDimensions");
+
+        wrapper.setProps({ renderZoomToolbar: true });
+
+        expect(wrapper.find(".fdz-css-graph-histogram-header").prop("style")).toEqual({ height: HEADER_HEIGHT });
+        expect(wrapper.state("histogramChartDimensions").height).toBe(height - HEADER_HEIGHT);
+
+        wrapper.setProps({ renderZoomToolbar: false });
+
+        expect(wrapper.find(".fdz-css-graph-histogram-header").exists()).toBe(false);
+        expect(wrapper.state("histogramChartDimensions").height).toBe(height);
+    });
+});
+
+describe("presets", () => {
+    const getPresetButton = (index) => wrapper.find(".fdz-css-graph-histogram-density__preset").at(index);
+
+    beforeEach(() => {
+        wrapper.setProps({
+            presets: [
+                { key: "hour", label: "1h", range: 60 * 60 * 1000 },
+                { key: "all", label: "All", range: Infinity }
+            ]
+        });
+    });
+
+    it("zooms to the preset and highlights it", () => {
+        const { max } = wrapper.state("overallTimeDomain");
+
+        getPresetButton(0).simulate("click");
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: max - 60 * 60 * 1000, max });
+        expect(getPresetButton(0).hasClass("fdz-css-graph-histogram-density__preset--active")).toBe(true);
+    });
+
+    it("stops highlighting the preset when the brushed domain is changed in another way", () => {
+        const { min, max } = wrapper.state("overallTimeDomain");
+
+        getPresetButton(0).simulate("click");
+        instance._zoomToBrushedDomain([ min, max ]);
+        wrapper.update();
+
+        expect(getPresetButton(0).hasClass("fdz-css-graph-histogram-density__preset--active")).toBe(false);
+    });
+});
+
+describe("interval header", () => {
+    it("doesn't render the interval header unless renderIntervalHeader is enabled", () => {
+        expect(wrapper.find(IntervalHeader).exists()).toBe(false);
+        expect(wrapper.find(".fdz-css-graph-histogram-header").exists()).toBe(false);
+    });
+
+    it("leaves space for the header above the histogram chart", () => {
+        const { height } = wrapper.state("histogramChartDimensions");
+
+        wrapper.setProps({ renderIntervalHeader: true });
+
+        expect(wrapper.find(".fdz-css-graph-histogram-header").prop("style")).toEqual({ height: HEADER_HEIGHT });
+        expect(wrapper.state("histogramChartDimensions").height).toBe(height - HEADER_HEIGHT);
+    });
+
+    it("zooms to the interval edited in the interval header", () => {
+        const { min, max } = wrapper.state("overallTimeDomain");
+        const brushedDomain = [ min + 60 * 1000, max - 60 * 1000 ];
+
+        wrapper.setProps({ renderIntervalHeader: true });
+        wrapper.find(IntervalHeader).prop("onDomainChanged")(brushedDomain);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: brushedDomain[0], max: brushedDomain[1] });
+    });
+});
+
+describe("snapTo", () => {
+    const HOUR = 60 * 60 * 1000;
+    const MINUTE = 60 * 1000;
+
+    let firstHour;
+
+    // With hourly bins the bin edges are the same for any brushed domain
+    beforeEach(() => {
+        firstHour = utcHour.ceil(new Date(wrapper.state("overallTimeDomain").min)).getTime();
+
+        wrapper.setProps({ snapTo: "bins", binInterval: utcHour, timeZone: "UTC" });
+        instance._zoomToBrushedDomain([ firstHour + 2 * HOUR, firstHour + 4 * HOUR ]);
+    });
+
+    it("snaps the brushed domain to the nearest bin edges", () => {
+        instance._zoomToBrushedDomain([ firstHour + 2 * HOUR + 10 * MINUTE, firstHour + 3 * HOUR + 40 * MINUTE ]);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: firstHour + 2 * HOUR, max: firstHour + 4 * HOUR });
+    });
+
+    it("snaps to the bins of the new brushed domain when zooming out", () => {
+        instance._zoomToBrushedDomain([ firstHour + 10 * MINUTE, firstHour + 30 * HOUR + 20 * MINUTE ]);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: firstHour, max: firstHour + 30 * HOUR });
+    });
+
+    it("snaps to the bins of the new brushed domain when brushing past the edge of the current one", () => {
+        instance._zoomToBrushedDomain([ firstHour + 3 * HOUR + 10 * MINUTE, firstHour + 20 * HOUR + 40 * MINUTE ]);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: firstHour + 3 * HOUR, max: firstHour + 21 * HOUR });
+    });
+
+    it("doesn't snap the interval edited in the interval header", () => {
+        const brushedDomain = [ firstHour + 2 * MINUTE, firstHour + 13 * MINUTE ];
+
+        wrapper.setProps({ renderIntervalHeader: true });
+        wrapper.find(IntervalHeader).prop("onDomainChanged")(brushedDomain);
+
+        expect(wrapper.state("brushTimeDomain")).toEqual({ min: brushedDomain[0], max: brushedDomain[1] });
+    });
+
+    it("doesn't snap when resetting the zoom", () => {
+        instance.resetZoom();
+
+        expect(wrapper.state("brushTimeDomain")).toEqual(wrapper.state("overallTimeDomain"));
+    });
+
+    it("snaps the brushed domain to the nearest boundaries of an interval", () => {
+        const { min, max } = wrapper.state("overallTimeDomain");
+        const fiveMinutes = 5 * 60 * 1000;
+
+        wrapper.setProps({ snapTo: utcMinute.every(5), timeZone: "UTC" });
+        instance._zoomToBrushedDomain([ min + fiveMinutes + 1234, max - fiveMinutes - 1234 ]);
+
+        expect(wrapper.state("brushTimeDomain").min % fiveMinutes).toBe(0);
+        expect(wrapper.state("brushTimeDomain").max % fiveMinutes).toBe(0);
+    });
+
+    it("animates the density chart brush only when snapping", () => {
+        expect(wrapper.find(DensityChart).prop("brushTransitionDuration")).toBeGreaterThan(0);
+
+        wrapper.setProps({ snapTo: null });
+
+        expect(wrapper.find(DensityChart).prop("brushTransitionDuration")).toBe(0);
+    });
+});
+
 describe("_onMouseEnterHistogramBar", () => {
     it("should update the state to reflect the selected bar", () => {
         instance._onMouseEnterHistogramBar({
@@ -181,6 +1520,28 @@ describe("_renderBarTooltip", () => {
 
         expect(instance._renderBarTooltip({})).toBe(null);
     });
+
+    it("should pass the bar and its elements to props.tooltipBarCustomization", () => {
+        const tooltipBarCustomization = jest.fn(() => null);
+        const bar = { 0: smallSample[0], 1: smallSample[1], x0: 0, x1: 1, yValue: 2 };
+
+        wrapper.setProps({ tooltipBarCustomization });
+        instance._renderBarTooltip(bar);
+
+        expect(tooltipBarCustomization).toHaveBeenCalledWith(bar, [smallSample[0], smallSample[1]]);
+    });
+});
+
+describe("aggregate", () => {
+    it("recalculates the bins with the new aggregation when it changes", () => {
+        const histogramBinCalculatorSpy = jest.spyOn(require("./histogramBinCalculator"), "default");
+
+        wrapper.setProps({ aggregate: "p95" });
+
+        expect(histogramBinCalculatorSpy).toHaveBeenLastCalledWith(expect.objectContaining({ aggregate: "p95" }));
+
+        histogramBinCalculatorSpy.mockRestore();
+    });
 });
 
 describe("_renderDensityChart", () => {
@@ -201,6 +1562,72 @@ describe("_renderDensityChart", () => {
         ).toMatchSnapshot();
     });
 
+    it("should render an histogram bar split by series", () => {
+        wrapper.setProps({ seriesAccessor: (datapoint) => (datapoint.total > 0.5 ? "a" : "b") });
+
+        expect(
+            instance._renderHistogramBars([{
+                x0: {
+                    getTime: () => "fake-time"
+                },
+                series: [
+                    { key: "a", yValue: 1, y0: 0, y1: 1 },
+                    { key: "b", yValue: 2, y0: 1, y1: 3 }
+                ]
+            }])
+        ).toMatchSnapshot();
+    });
+
+    it("should render an histogram bar grouped by series", () => {
+        wrapper.setProps({
+            seriesAccessor: (datapoint) => (datapoint.total > 0.5 ? "a" : "b"),
+            seriesLayout: "grouped"
+        });
+
+        expect(
+            instance._renderHistogramBars([{
+                x0: {
+                    getTime: () => "fake-time"
+                },
+                series: [
+                    { key: "a", yValue: 1, y0: 0, y1: 1 },
+                    { key: "b", yValue: 2, y0: 1, y1: 3 }
+                ]
+            }])
+        ).toMatchSnapshot();
+    });
+
+    it("should render a stacked histogram bar whose series cancel each other out", () => {
+        const calculatePositionAndDimensionsSpy = jest.spyOn(histogramBarGeometryMock, "calculatePositionAndDimensions")
+            .mockImplementation(() => ({ x: 1, y: 7, width: 10, height: 0 }));
+        const calculateStackedSegmentsSpy = jest.spyOn(
+            histogramBarGeometryMock,
+            "calculateStackedSegmentsPositionAndDimensions"
+        ).mockImplementation(() => [
+            { key: "a", x: 1, y: 2, width: 10, height: 5 },
+            { key: "b", x: 1, y: 7, width: 10, height: 5 }
+        ]);
+
+        wrapper.setProps({ seriesAccessor: (datapoint) => (datapoint.total > 0.5 ? "a" : "b") });
+
+        const bars = instance._renderHistogramBars([{
+            x0: {
+                getTime: () => "fake-time"
+            },
+            yValue: 0,
+            series: [
+                { key: "a", yValue: 5, y0: 0, y1: 5 },
+                { key: "b", yValue: -5, y0: -5, y1: 0 }
+            ]
+        }]);
+
+        expect(bars[0]).not.toBe(null);
+        expect(mount(<svg>{bars}</svg>).find("g rect").length).toBe(2);
+
+        calculatePositionAndDimensionsSpy.mockRestore();
+        calculateStackedSegmentsSpy.mockRestore();
+    });
+
     it("should not render an histogram bar if the height is negative", () => {
         histogramBarGeometryMock.calculatePositionAndDimensions = jest.fn().mockImplementation(() => ({
             x: 0,
@@ -6,3 +6,35 @@ export function calculatePositionAndDimensions() {
         y: 1
     };
 }
+
+export function calculateStackedSegmentsPositionAndDimensions() {
+    return [{
+        key: "a",
+        height: 4,
+        width: 10,
+        x: 1,
+        y: 7
+    }, {
+        key: "b",
+        height: 6,
+        width: 10,
+        x: 1,
+        y: 1
+    }];
+}
+
+export function calculateGroupedSegmentsPositionAndDimensions() {
+    return [{
+        key: "a",
+        height: 4,
+        width: 4,
+        x: 1,
+        y: 7
+    }, {
+        key: "b",
+        height: 6,
+        width: 4,
+        x: 6,
+        y: 1
+    }];
+}
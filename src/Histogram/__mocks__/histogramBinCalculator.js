@@ -150,3 +150,10 @@ export default () => [
         "yValue": 0
     }
 ];
+
+export const preBinnedHistogramBinCalculator = jest.requireActual("../histogramBinCalculator")
+    .preBinnedHistogramBinCalculator;
+
+export const appendToHistogramBins = jest.requireActual("../histogramBinCalculator").appendToHistogramBins;
+
+export const getBinElements = jest.requireActual("../histogramBinCalculator").getBinElements;
@@ -0,0 +1,69 @@
+import {
+    sum as d3Sum,
+    mean as d3Mean,
+    median as d3Median,
+    max as d3Max,
+    min as d3Min,
+    quantile as d3Quantile,
+    ascending as d3Ascending
+} from "d3-array";
+
+/**
+ * histogramAggregations
+ *
+ * This module contains the functions that reduce the y values of the elements of a bin to the bin value.
+ */
+
+/**
+ * Returns the 95th percentile of the given values.
+ * @param {Array.<number>} values
+ * @returns {number|undefined}
+ * @private
+ */
+function percentile95(values) {
+    return d3Quantile(values.slice().sort(d3Ascending), 0.95);
+}
+
+/**
+ * Returns the number of distinct values.
+ * @param {Array.<*>} values
+ * @returns {number}
+ * @private
+ */
+function countDistinct(values) {
+    return new Set(values).size;
+}
+
+/**
+ * The built-in aggregations, by name. Each one receives the y values of the elements of a bin (the d3 functions
+ * are wrapped since their second argument is an accessor, not the elements).
+ */
+export const AGGREGATIONS = {
+    sum: (values) => d3Sum(values),
+    count: (values) => values.length,
+    mean: (values) => d3Mean(values),
+    median: (values) => d3Median(values),
+    max: (values) => d3Max(values),
+    min: (values) => d3Min(values),
+    p95: percentile95,
+    distinct: countDistinct
+};
+
+/**
+ * Returns the function that calculates the value of a bin for the given `aggregate` option, which is either the
+ * name of a built-in aggregation or a custom reducer that receives the y values and the elements of the bin.
+ *
+ * The aggregations of an empty bin (e.g., its mean) may be undefined, in which case the bin value is zero.
+ *
+ * @param {string|function} aggregate
+ * @returns {function} A function that receives the elements of a bin and the y accessor.
+ */
+export function createBinAggregator(aggregate) {
+    const reduce = typeof aggregate === "function" ? aggregate : AGGREGATIONS[aggregate];
+
+    return (elements, yAccessor) => {
+        const value = reduce(elements.map((element) => yAccessor(element)), elements);
+
+        return value === undefined || Number.isNaN(value) ? 0 : value;
+    };
+}
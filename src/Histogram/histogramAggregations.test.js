@@ -0,0 +1,51 @@
+import { AGGREGATIONS, createBinAggregator } from "./histogramAggregations";
+
+const yAccessor = (elm) => elm.latency;
+
+const elements = [
+    { latency: 10 },
+    { latency: 40 },
+    { latency: 20 },
+    { latency: 10 }
+];
+
+describe("AGGREGATIONS", () => {
+    it("calculates the built-in aggregations of the values", () => {
+        const values = elements.map(yAccessor);
+
+        expect(AGGREGATIONS.sum(values)).toBe(80);
+        expect(AGGREGATIONS.count(values)).toBe(4);
+        expect(AGGREGATIONS.mean(values)).toBe(20);
+        expect(AGGREGATIONS.median(values)).toBe(15);
+        expect(AGGREGATIONS.max(values)).toBe(40);
+        expect(AGGREGATIONS.min(values)).toBe(10);
+        expect(AGGREGATIONS.p95(values)).toBeCloseTo(37);
+        expect(AGGREGATIONS.distinct(values)).toBe(3);
+    });
+
+    it("doesn't sort the given values when calculating the percentile", () => {
+        const values = [3, 1, 2];
+
+        AGGREGATIONS.p95(values);
+
+        expect(values).toEqual([3, 1, 2]);
+    });
+});
+
+describe("createBinAggregator", () => {
+    it("aggregates the y values of the elements with the built-in aggregation of the given name", () => {
+        expect(createBinAggregator("max")(elements, yAccessor)).toBe(40);
+    });
+
+    it("passes the y values and the elements to a custom aggregation", () => {
+        const aggregate = jest.fn(() => 7);
+
+        expect(createBinAggregator(aggregate)(elements, yAccessor)).toBe(7);
+        expect(aggregate).toHaveBeenCalledWith([10, 40, 20, 10], elements);
+    });
+
+    it("returns zero if the aggregation of an empty bin is not defined", () => {
+        expect(createBinAggregator("mean")([], yAccessor)).toBe(0);
+        expect(createBinAggregator("p95")([], yAccessor)).toBe(0);
+    });
+});
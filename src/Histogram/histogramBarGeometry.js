@@ -8,25 +8,40 @@
 
 /**
   * Calculates the dimensions for the given `bar` given the scales and other parameters.
+  *
+  * When `seriesCount` is bigger than one the bar is one of the sub-bars of a group, which share the
+  * width of the bin with `seriesMargin` pixels between them.
+  *
+  * The bars extend from the `baselineY`, i.e., the position of zero, so negative values extend below it. By default
+  * the baseline is at the bottom of the chart.
+  *
   * @returns {Object}
   */
-export function calculateDimensions({ xScale, yScale, heightForBars, margin, bar }) {
-    const width = xScale(bar.x1)
+export function calculateDimensions({ xScale, yScale, heightForBars, baselineY = heightForBars, margin, bar,
+    seriesCount = 1, seriesMargin = 0 }) {
+    const groupWidth = xScale(bar.x1)
         - xScale(bar.x0) - margin;
-    const height = heightForBars - yScale(bar.yValue);
+    const width = (groupWidth - seriesMargin * (seriesCount - 1)) / seriesCount;
+    const height = Math.abs(baselineY - yScale(bar.yValue));
 
     return { width, height };
 }
 
 /**
   * Calculates the position and dimensions for the given `bar` given the scales and other parameters.
+  *
+  * When `seriesCount` is bigger than one the bar is the `seriesIndex`th sub-bar of a group.
+  *
   * @returns {Object}
   */
-export function calculatePositionAndDimensions({ xScale, yScale, heightForBars, margin, bar }) {
-    const { width, height } = calculateDimensions({ xScale, yScale, heightForBars, margin, bar });
+export function calculatePositionAndDimensions({ xScale, yScale, heightForBars, baselineY = heightForBars, margin,
+    bar, seriesIndex = 0, seriesCount = 1, seriesMargin = 0 }) {
+    const { width, height } = calculateDimensions({
+        xScale, yScale, heightForBars, baselineY, margin, bar, seriesCount, seriesMargin
+    });
 
-    const x = xScale(bar.x0) + margin / 2;
-    const y = yScale(bar.yValue);
+    const x = xScale(bar.x0) + margin / 2 + seriesIndex * (width + seriesMargin);
+    const y = Math.min(yScale(bar.yValue), baselineY);
 
     return {
         width,
@@ -35,3 +50,47 @@ export function calculatePositionAndDimensions({ xScale, yScale, heightForBars,
         y
     };
 }
+
+/**
+  * Calculates the position and dimensions of each stacked series segment of the given `bar`.
+  * The segments of negative values are stacked downwards, so their `y1` is below their `y0`.
+  * @returns {Array.<Object>}
+  */
+export function calculateStackedSegmentsPositionAndDimensions({ xScale, yScale, margin, bar }) {
+    const x = xScale(bar.x0) + margin / 2;
+    const width = xScale(bar.x1) - xScale(bar.x0) - margin;
+
+    return bar.series.map(({ key, y0, y1 }) => {
+        const y = Math.min(yScale(y0), yScale(y1));
+
+        return {
+            key,
+            x,
+            y,
+            width,
+            height: Math.abs(yScale(y0) - yScale(y1))
+        };
+    });
+}
+
+/**
+  * Calculates the position and dimensions of each series sub-bar of the given `bar`, side by side.
+  * @returns {Array.<Object>}
+  */
+export function calculateGroupedSegmentsPositionAndDimensions({ xScale, yScale, heightForBars, baselineY, margin,
+    seriesMargin, bar }) {
+    return bar.series.map(({ key, yValue }, seriesIndex) => ({
+        key,
+        ...calculatePositionAndDimensions({
+            xScale,
+            yScale,
+            heightForBars,
+            baselineY,
+            margin,
+            seriesIndex,
+            seriesCount: bar.series.length,
+            seriesMargin,
+            bar: { x0: bar.x0, x1: bar.x1, yValue }
+        })
+    }));
+}
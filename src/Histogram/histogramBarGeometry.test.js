@@ -1,4 +1,8 @@
-import { calculatePositionAndDimensions } from "./histogramBarGeometry";
+import {
+    calculatePositionAndDimensions,
+    calculateStackedSegmentsPositionAndDimensions,
+    calculateGroupedSegmentsPositionAndDimensions
+} from "./histogramBarGeometry";
 
 describe("calculatePositionAndDimensions", () => {
     it("should calculate the position and dimensions for the given bar", () => {
@@ -20,3 +24,140 @@ describe("calculatePositionAndDimensions", () => {
         });
     });
 });
+
+describe("calculatePositionAndDimensions of negative values", () => {
+    it("should extend the bar from the baseline downwards", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => 50 - y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: -10
+        };
+
+        expect(calculatePositionAndDimensions({
+            xScale, yScale, heightForBars: 100, baselineY: 50, margin: 2, bar
+        })).toEqual({
+            height: 10,
+            width: 38,
+            x: 1,
+            y: 50
+        });
+    });
+
+    it("should extend the positive bars from the baseline upwards", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => 50 - y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: 10
+        };
+
+        expect(calculatePositionAndDimensions({
+            xScale, yScale, heightForBars: 100, baselineY: 50, margin: 2, bar
+        })).toEqual({
+            height: 10,
+            width: 38,
+            x: 1,
+            y: 40
+        });
+    });
+});
+
+describe("calculatePositionAndDimensions for grouped bars", () => {
+    it("should calculate the position and dimensions of the sub-bar of the given series", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: 10
+        };
+        const heightForBars = 100;
+        const margin = 2;
+
+        expect(calculatePositionAndDimensions({
+            xScale, yScale, heightForBars, margin, bar, seriesIndex: 0, seriesCount: 3, seriesMargin: 1
+        })).toEqual({
+            height: 90,
+            width: 12,
+            x: 1,
+            y: 10
+        });
+
+        expect(calculatePositionAndDimensions({
+            xScale, yScale, heightForBars, margin, bar, seriesIndex: 2, seriesCount: 3, seriesMargin: 1
+        })).toEqual({
+            height: 90,
+            width: 12,
+            x: 27,
+            y: 10
+        });
+    });
+});
+
+describe("calculateStackedSegmentsPositionAndDimensions", () => {
+    it("should calculate the position and dimensions of each series segment", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => 100 - y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: 30,
+            series: [
+                { key: "a", yValue: 10, y0: 0, y1: 10 },
+                { key: "b", yValue: 20, y0: 10, y1: 30 }
+            ]
+        };
+        const margin = 2;
+
+        expect(calculateStackedSegmentsPositionAndDimensions({ xScale, yScale, margin, bar })).toEqual([
+            { key: "a", height: 10, width: 38, x: 1, y: 90 },
+            { key: "b", height: 20, width: 38, x: 1, y: 70 }
+        ]);
+    });
+
+    it("should place the negative segments below the zero baseline", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => 50 - y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: 0,
+            series: [
+                { key: "a", yValue: -10, y0: 0, y1: -10 },
+                { key: "b", yValue: 10, y0: 0, y1: 10 }
+            ]
+        };
+        const margin = 2;
+
+        expect(calculateStackedSegmentsPositionAndDimensions({ xScale, yScale, margin, bar })).toEqual([
+            { key: "a", height: 10, width: 38, x: 1, y: 50 },
+            { key: "b", height: 10, width: 38, x: 1, y: 40 }
+        ]);
+    });
+});
+
+describe("calculateGroupedSegmentsPositionAndDimensions", () => {
+    it("should calculate the position and dimensions of each series sub-bar", () => {
+        const xScale = (x) => x;
+        const yScale = (y) => 100 - y;
+        const bar = {
+            x0: 0,
+            x1: 40,
+            yValue: 30,
+            series: [
+                { key: "a", yValue: 10, y0: 0, y1: 10 },
+                { key: "b", yValue: 20, y0: 10, y1: 30 }
+            ]
+        };
+
+        expect(calculateGroupedSegmentsPositionAndDimensions({
+            xScale, yScale, heightForBars: 100, margin: 2, seriesMargin: 2, bar
+        })).toEqual([
+            { key: "a", height: 10, width: 18, x: 1, y: 90 },
+            { key: "b", height: 20, width: 18, x: 21, y: 80 }
+        ]);
+    });
+});
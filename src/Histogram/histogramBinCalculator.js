@@ -1,4 +1,5 @@
-import { histogram as d3Histogram } from "d3-array";
+import { histogram as d3Histogram, bisectRight as d3BisectRight } from "d3-array";
+import { createBinAggregator } from "./histogramAggregations";
 
 /**
  * histogramBinCalculator
@@ -8,17 +9,212 @@ import { histogram as d3Histogram } from "d3-array";
  * @author Luis Cardoso (luis.cardoso@feedzai.com)
  */
 
-export default ({ xAccessor, yAccessor, histogramChartXScale, defaultBarCount, data }) => {
+/**
+ * Aggregates the y values of the given bin elements per series and stacks them in the order of `seriesKeys`.
+ * The positive values are stacked upwards from zero and the negative ones downwards.
+ *
+ * @param {Array.<Object>} bar
+ * @param {function} yAccessor
+ * @param {function} seriesAccessor
+ * @param {Array.<string>} seriesKeys
+ * @param {function} aggregateBin The function returned by `createBinAggregator`.
+ * @returns {Array.<Object>}
+ */
+function calculateStackedSeries(bar, yAccessor, seriesAccessor, seriesKeys, aggregateBin) {
+    const elementsBySeries = {};
+
+    for (let i = 0; i < bar.length; i++) {
+        const key = seriesAccessor(bar[i]);
+
+        if (!elementsBySeries.hasOwnProperty(key)) {
+            elementsBySeries[key] = [];
+        }
+
+        elementsBySeries[key].push(bar[i]);
+    }
+
+    let positiveY0 = 0;
+
+    let negativeY0 = 0;
+
+    return seriesKeys.map((key) => {
+        const yValue = aggregateBin(elementsBySeries[key] || [], yAccessor);
+
+        if (yValue < 0) {
+            negativeY0 += yValue;
+
+            return { key, yValue, y0: negativeY0 - yValue, y1: negativeY0 };
+        }
+
+        positiveY0 += yValue;
+
+        return { key, yValue, y0: positiveY0 - yValue, y1: positiveY0 };
+    });
+}
+
+/**
+ * Returns the value of a pre-aggregated bucket.
+ * @param {Object} bucket
+ * @returns {number}
+ */
+function getBucketValue(bucket) {
+    return bucket.value;
+}
+
+/**
+ * Calculates the histogram bins of pre-aggregated data, i.e., of buckets with the `x0`, `x1` and `value`
+ * properties. Consecutive buckets that fall between the same thresholds are merged into a single bin, but a
+ * bucket is never split, so zooming in further than the resolution of the buckets results in a bin per bucket.
+ * The values of the merged buckets are reduced with the `aggregate` option.
+ *
+ * @param {Object} options
+ * @returns {Array.<Object>}
+ */
+export function preBinnedHistogramBinCalculator({ seriesAccessor, seriesKeys, histogramChartXScale,
+    defaultBarCount, binInterval, aggregate = "sum", data }) {
+    const aggregateBin = createBinAggregator(aggregate);
+    const domain = histogramChartXScale.domain();
+    const [ domainMin, domainMax ] = domain.map(Number);
+    const thresholds = histogramChartXScale.ticks(binInterval || defaultBarCount).map(Number);
+
+    // The bin limits have the same type as the domain, i.e., dates in a time scale and numbers in a linear one
+    const toBinLimit = domain[0] instanceof Date ? (value) => new Date(value) : Number;
+
+    const buckets = data
+        .filter((bucket) => bucket.x1 > domainMin && bucket.x0 < domainMax)
+        .sort((bucket1, bucket2) => bucket1.x0 - bucket2.x0);
+
+    const groups = [];
+
+    let lastThresholdIndex = null;
+
+    buckets.forEach((bucket) => {
+        const thresholdIndex = d3BisectRight(thresholds, Number(bucket.x0));
+
+        if (thresholdIndex !== lastThresholdIndex) {
+            groups.push([]);
+            lastThresholdIndex = thresholdIndex;
+        }
+
+        groups[groups.length - 1].push(bucket);
+    });
+
+    return groups.map((group) => {
+        // The buckets at the edges may be partially outside of the domain, so their limits are clipped
+        const bin = {
+            ...group,
+            x0: toBinLimit(Math.max(group[0].x0, domainMin)),
+            x1: toBinLimit(Math.min(group[group.length - 1].x1, domainMax)),
+            yValue: aggregateBin(group, getBucketValue)
+        };
+
+        if (typeof seriesAccessor !== "function") {
+            return bin;
+        }
+
+        return {
+            ...bin,
+            series: calculateStackedSeries(group, getBucketValue, seriesAccessor, seriesKeys, aggregateBin)
+        };
+    });
+}
+
+/**
+ * Creates an histogram bin from the array of its elements with its `x0` and `x1` limits.
+ *
+ * @param {Array.<Object>} bar
+ * @param {function} yAccessor
+ * @param {function} seriesAccessor
+ * @param {Array.<string>} seriesKeys
+ * @param {function} aggregateBin The function returned by `createBinAggregator`.
+ * @returns {Object}
+ */
+function createBin(bar, yAccessor, seriesAccessor, seriesKeys, aggregateBin) {
+    const yValue = aggregateBin(bar, yAccessor);
+
+    if (typeof seriesAccessor !== "function") {
+        return { ...bar, yValue };
+    }
+
+    return { ...bar, yValue, series: calculateStackedSeries(bar, yAccessor, seriesAccessor, seriesKeys, aggregateBin) };
+}
+
+/**
+ * Returns the elements of the given bin, which are kept in its numeric properties.
+ *
+ * @param {Object} bin
+ * @returns {Array.<Object>}
+ */
+export function getBinElements(bin) {
+    const elements = [];
+
+    for (let i = 0; bin.hasOwnProperty(i); i++) {
+        elements.push(bin[i]);
+    }
+
+    return elements;
+}
+
+/**
+ * Adds the given data to the bins previously calculated by `histogramBinCalculator`, without going through
+ * the elements that were already in the bins. Only the bins that receive new elements are recreated, the
+ * data outside of the bins limits is ignored.
+ *
+ * @param {Object} options
+ * @returns {Array.<Object>}
+ */
+export function appendToHistogramBins({ xAccessor, yAccessor, seriesAccessor, seriesKeys, aggregate = "sum", bins,
+    data }) {
+    if (bins.length === 0) {
+        return bins;
+    }
+
+    const aggregateBin = createBinAggregator(aggregate);
+    const domainMin = Number(bins[0].x0);
+    const domainMax = Number(bins[bins.length - 1].x1);
+    const thresholds = bins.slice(1).map((bin) => Number(bin.x0));
+    const appendedElementsByBin = {};
+
+    data.forEach((element) => {
+        const x = Number(xAccessor(element));
+
+        if (x < domainMin || x > domainMax) {
+            return;
+        }
+
+        const binIndex = d3BisectRight(thresholds, x);
+
+        if (!appendedElementsByBin.hasOwnProperty(binIndex)) {
+            appendedElementsByBin[binIndex] = [];
+        }
+
+        appendedElementsByBin[binIndex].push(element);
+    });
+
+    return bins.map((bin, binIndex) => {
+        if (!appendedElementsByBin.hasOwnProperty(binIndex)) {
+            return bin;
+        }
+
+        const bar = getBinElements(bin).concat(appendedElementsByBin[binIndex]);
+
+        bar.x0 = bin.x0;
+        bar.x1 = bin.x1;
+
+        return createBin(bar, yAccessor, seriesAccessor, seriesKeys, aggregateBin);
+    });
+}
+
+export default ({ xAccessor, yAccessor, seriesAccessor, seriesKeys, histogramChartXScale, defaultBarCount,
+    binInterval, aggregate = "sum", data }) => {
+    const aggregateBin = createBinAggregator(aggregate);
+
     // Setting the histogram function/converter
     const histogram = d3Histogram()
         .value(xAccessor)
         .domain(histogramChartXScale.domain()) // using the x-axis domain
-        .thresholds(histogramChartXScale.ticks(defaultBarCount));
+        .thresholds(histogramChartXScale.ticks(binInterval || defaultBarCount)); // one bin per interval, if any
 
     // Calculating the time histogram bins
-    return histogram(data).map((bar) => {
-        const yValue = bar.reduce((sum, curr) => sum + yAccessor(curr), 0);
-
-        return { ...bar, yValue };
-    });
+    return histogram(data).map((bar) => createBin(bar, yAccessor, seriesAccessor, seriesKeys, aggregateBin));
 };
@@ -0,0 +1,240 @@
+import { scaleTime, scaleLinear } from "d3-scale";
+import { timeHour } from "d3-time";
+import histogramBinCalculator, {
+    preBinnedHistogramBinCalculator,
+    appendToHistogramBins,
+    getBinElements
+} from "./histogramBinCalculator";
+
+const xAccessor = (elm) => elm.timestamp;
+const yAccessor = (elm) => elm.total;
+const seriesAccessor = (elm) => elm.channel;
+
+const data = [
+    { timestamp: 1000, total: 2, channel: "web" },
+    { timestamp: 1500, total: 3, channel: "mobile" },
+    { timestamp: 1600, total: 1, channel: "web" },
+    { timestamp: 2500, total: 4, channel: "web" }
+];
+
+let histogramChartXScale;
+
+beforeEach(() => {
+    histogramChartXScale = scaleTime()
+        .domain([1000, 3000])
+        .range([0, 100]);
+    histogramChartXScale.ticks = () => [1000, 2000];
+});
+
+describe("histogramBinCalculator", () => {
+    it("sums the y values of each bin", () => {
+        const bins = histogramBinCalculator({ xAccessor, yAccessor, histogramChartXScale, defaultBarCount: 2, data });
+
+        expect(bins.map((bin) => bin.yValue)).toEqual([6, 4]);
+        expect(bins[0].series).toBe(undefined);
+    });
+
+    it("stacks the y values of each series in the order of the series keys", () => {
+        const bins = histogramBinCalculator({
+            xAccessor,
+            yAccessor,
+            seriesAccessor,
+            seriesKeys: ["mobile", "web"],
+            histogramChartXScale,
+            defaultBarCount: 2,
+            data
+        });
+
+        expect(bins[0].series).toEqual([
+            { key: "mobile", yValue: 3, y0: 0, y1: 3 },
+            { key: "web", yValue: 3, y0: 3, y1: 6 }
+        ]);
+        expect(bins[1].series).toEqual([
+            { key: "mobile", yValue: 0, y0: 0, y1: 0 },
+            { key: "web", yValue: 4, y0: 0, y1: 4 }
+        ]);
+    });
+
+    it("stacks the negative values of the series downwards from zero", () => {
+        const bins = histogramBinCalculator({
+            xAccessor,
+            yAccessor,
+            seriesAccessor,
+            seriesKeys: ["refund", "mobile", "web"],
+            histogramChartXScale,
+            defaultBarCount: 2,
+            data: [
+                ...data,
+                { timestamp: 1200, total: -5, channel: "refund" }
+            ]
+        });
+
+        expect(bins[0].yValue).toBe(1);
+        expect(bins[0].series).toEqual([
+            { key: "refund", yValue: -5, y0: 0, y1: -5 },
+            { key: "mobile", yValue: 3, y0: 0, y1: 3 },
+            { key: "web", yValue: 3, y0: 3, y1: 6 }
+        ]);
+    });
+
+    it("aggregates the y values of each bin and series with the given aggregation", () => {
+        const bins = histogramBinCalculator({
+            xAccessor,
+            yAccessor,
+            seriesAccessor,
+            seriesKeys: ["mobile", "web"],
+            histogramChartXScale,
+            defaultBarCount: 2,
+            aggregate: "max",
+            data
+        });
+
+        expect(bins.map((bin) => bin.yValue)).toEqual([3, 4]);
+        expect(bins[0].series.map((series) => series.yValue)).toEqual([3, 2]);
+        expect(bins[1].series.map((series) => series.yValue)).toEqual([0, 4]);
+    });
+
+    it("creates one bin per bin interval", () => {
+        const hour = 60 * 60 * 1000;
+        const start = timeHour.floor(new Date(2018, 7, 3, 10)).getTime();
+        const bins = histogramBinCalculator({
+            xAccessor,
+            yAccessor,
+            histogramChartXScale: scaleTime().domain([start, start + 3 * hour]),
+            defaultBarCount: 100,
+            binInterval: timeHour,
+            data: [
+                { timestamp: start + 10, total: 1 },
+                { timestamp: start + hour + 10, total: 2 },
+                { timestamp: start + 2 * hour + 10, total: 3 }
+            ]
+        });
+
+        // Like with the default thresholds, d3 adds an empty bin at the end of the domain
+        expect(bins.slice(0, 3).map(({ x0, x1, yValue }) => [Number(x0), Number(x1), yValue])).toEqual([
+            [start, start + hour, 1],
+            [start + hour, start + 2 * hour, 2],
+            [start + 2 * hour, start + 3 * hour, 3]
+        ]);
+    });
+});
+
+describe("preBinnedHistogramBinCalculator", () => {
+    const buckets = [
+        { x0: 1500, x1: 2000, value: 3, channel: "mobile" },
+        { x0: 1000, x1: 1500, value: 2, channel: "web" },
+        { x0: 2000, x1: 2500, value: 4, channel: "web" },
+        { x0: 2500, x1: 3000, value: 1, channel: "web" }
+    ];
+
+    it("merges the buckets between the same thresholds", () => {
+        const bins = preBinnedHistogramBinCalculator({ histogramChartXScale, defaultBarCount: 2, data: buckets });
+
+        expect(bins).toEqual([
+            { 0: buckets[1], 1: buckets[0], x0: new Date(1000), x1: new Date(2000), yValue: 5 },
+            { 0: buckets[2], 1: buckets[3], x0: new Date(2000), x1: new Date(3000), yValue: 5 }
+        ]);
+    });
+
+    it("aggregates the values of the merged buckets with the given aggregation", () => {
+        const bins = preBinnedHistogramBinCalculator({
+            histogramChartXScale,
+            defaultBarCount: 2,
+            aggregate: "mean",
+            data: buckets
+        });
+
+        expect(bins.map((bin) => bin.yValue)).toEqual([2.5, 2.5]);
+    });
+
+    it("uses numbers as the limits of the bins in a linear scale", () => {
+        const bins = preBinnedHistogramBinCalculator({
+            histogramChartXScale: scaleLinear().domain([1000, 3000]),
+            defaultBarCount: 2,
+            data: buckets
+        });
+
+        expect(bins.map(({ x0, x1 }) => [x0, x1])).toEqual([[1000, 2000], [2000, 3000]]);
+    });
+
+    it("never splits a bucket when the thresholds are finer than the buckets", () => {
+        histogramChartXScale.ticks = () => [1000, 1100, 1200, 1300, 1400, 1500, 1600, 1700, 1800, 1900, 2000];
+
+        const bins = preBinnedHistogramBinCalculator({
+            histogramChartXScale,
+            defaultBarCount: 10,
+            data: buckets.slice(0, 2)
+        });
+
+        expect(bins.map(({ x0, x1, yValue }) => [x0.getTime(), x1.getTime(), yValue])).toEqual([
+            [1000, 1500, 2],
+            [1500, 2000, 3]
+        ]);
+    });
+
+    it("clips the buckets at the edges of the domain and ignores the ones outside of it", () => {
+        histogramChartXScale.domain([1200, 2400]);
+        histogramChartXScale.ticks = () => [1600, 2000];
+
+        const bins = preBinnedHistogramBinCalculator({ histogramChartXScale, defaultBarCount: 2, data: buckets });
+
+        expect(bins.map(({ x0, x1, yValue }) => [x0.getTime(), x1.getTime(), yValue])).toEqual([
+            [1200, 2000, 5],
+            [2000, 2400, 4]
+        ]);
+    });
+
+    it("stacks the values of each series", () => {
+        const bins = preBinnedHistogramBinCalculator({
+            seriesAccessor,
+            seriesKeys: ["mobile", "web"],
+            histogramChartXScale,
+            defaultBarCount: 2,
+            data: buckets
+        });
+
+        expect(bins[0].series).toEqual([
+            { key: "mobile", yValue: 3, y0: 0, y1: 3 },
+            { key: "web", yValue: 2, y0: 3, y1: 5 }
+        ]);
+    });
+});
+
+describe("appendToHistogramBins", () => {
+    it("calculates the same bins as calculating them with all the data", () => {
+        const appendedData = [
+            { timestamp: 1800, total: 5, channel: "mobile" },
+            { timestamp: 3000, total: 1, channel: "web" },
+            { timestamp: 3500, total: 1, channel: "web" }
+        ];
+        const options = { xAccessor, yAccessor, seriesAccessor, seriesKeys: ["mobile", "web"], histogramChartXScale };
+        const bins = appendToHistogramBins({
+            ...options,
+            bins: histogramBinCalculator({ ...options, data }),
+            data: appendedData
+        });
+
+        expect(bins).toEqual(histogramBinCalculator({ ...options, data: [...data, ...appendedData] }));
+    });
+
+    it("keeps the bins that don't receive new data", () => {
+        const previousBins = histogramBinCalculator({ xAccessor, yAccessor, histogramChartXScale, data });
+        const bins = appendToHistogramBins({
+            xAccessor,
+            yAccessor,
+            bins: previousBins,
+            data: [{ timestamp: 2800, total: 1 }]
+        });
+
+        expect(bins[0]).toBe(previousBins[0]);
+        expect(bins[1].yValue).toBe(5);
+    });
+});
+
+describe("getBinElements", () => {
+    it("returns the elements of the given bin", () => {
+        const bins = histogramBinCalculator({ xAccessor, yAccessor, histogramChartXScale, defaultBarCount: 2, data });
+
+        expect(getBinElements(bins[1])).toEqual([data[3]]);
+    });
+});
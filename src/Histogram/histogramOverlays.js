@@ -0,0 +1,110 @@
+/**
+ * histogramOverlays
+ *
+ * This module contains the calculation of the lines drawn over the histogram bars, which are either series with
+ * their own data or transforms of the bars values (e.g., their moving average).
+ */
+
+/**
+ * Returns the cumulative total of the values of the given bars.
+ * @param {Array.<Object>} bars
+ * @returns {Array.<number>}
+ * @private
+ */
+function cumulative(bars) {
+    let total = 0;
+
+    return bars.map(({ yValue }) => {
+        total += yValue;
+
+        return total;
+    });
+}
+
+/**
+ * Returns the average of the values of each bar and of the bars before it, as many as the `windowSize` of the overlay.
+ * The first bars are averaged with the ones available.
+ *
+ * @param {Array.<Object>} bars
+ * @param {Object} overlay
+ * @returns {Array.<number>}
+ * @private
+ */
+function movingAverage(bars, { windowSize = 3 }) {
+    let windowTotal = 0;
+
+    return bars.map(({ yValue }, index) => {
+        windowTotal += yValue;
+
+        if (index >= windowSize) {
+            windowTotal -= bars[index - windowSize].yValue;
+        }
+
+        return windowTotal / Math.min(index + 1, windowSize);
+    });
+}
+
+/**
+ * The built-in transforms of the bars, by name. Each one receives the bars and the overlay and returns a value
+ * per bar.
+ */
+export const OVERLAY_TRANSFORMS = {
+    cumulative,
+    movingAverage
+};
+
+/**
+ * Calculates the points of the line of the given overlay. The transforms of the bars have a point at the middle
+ * of each bar, and the series with their own data have a point per element inside of the x domain.
+ *
+ * @param {Object} overlay
+ * @param {Array.<Object>} bars
+ * @param {Array.<Date|number>} xDomain
+ * @returns {Array.<Object>} The `x` and `y` of each point, sorted by `x`.
+ */
+export function calculateOverlayPoints(overlay, bars, xDomain) {
+    if (overlay.transform) {
+        const transform = typeof overlay.transform === "function"
+            ? overlay.transform
+            : OVERLAY_TRANSFORMS[overlay.transform];
+
+        return transform(bars, overlay).map((y, index) => ({
+            x: (Number(bars[index].x0) + Number(bars[index].x1)) / 2,
+            y
+        }));
+    }
+
+    const [ domainMin, domainMax ] = xDomain.map(Number);
+
+    return overlay.data
+        .map((element) => ({ x: Number(overlay.xAccessor(element)), y: overlay.yAccessor(element) }))
+        .filter(({ x }) => x >= domainMin && x <= domainMax)
+        .sort((point1, point2) => point1.x - point2.x);
+}
+
+/**
+ * Creates the svg path of a line through the given points. The points without a finite y value are left out,
+ * leaving a gap in the line.
+ *
+ * @param {Array.<Object>} points
+ * @param {function} xScale
+ * @param {function} yScale
+ * @returns {string}
+ */
+export function createLinePath(points, xScale, yScale) {
+    let path = "";
+
+    let isLineStarted = false;
+
+    points.forEach(({ x, y }) => {
+        if (!Number.isFinite(y)) {
+            isLineStarted = false;
+            return;
+        }
+
+        path += `${isLineStarted ? "L" : "M"}${xScale(x)},${yScale(y)}`;
+        isLineStarted = true;
+    });
+
+    return path;
+}
@@ -0,0 +1,75 @@
+import { OVERLAY_TRANSFORMS, calculateOverlayPoints, createLinePath } from "./histogramOverlays";
+
+const bars = [
+    { x0: new Date(0), x1: new Date(10), yValue: 2 },
+    { x0: new Date(10), x1: new Date(20), yValue: 4 },
+    { x0: new Date(20), x1: new Date(30), yValue: 6 },
+    { x0: new Date(30), x1: new Date(40), yValue: 0 }
+];
+
+describe("OVERLAY_TRANSFORMS", () => {
+    it("calculates the cumulative total of the bars", () => {
+        expect(OVERLAY_TRANSFORMS.cumulative(bars, {})).toEqual([2, 6, 12, 12]);
+    });
+
+    it("calculates the moving average of the bars with the given window size", () => {
+        expect(OVERLAY_TRANSFORMS.movingAverage(bars, { windowSize: 2 })).toEqual([2, 3, 5, 3]);
+    });
+
+    it("averages the last three bars by default", () => {
+        expect(OVERLAY_TRANSFORMS.movingAverage(bars, {})).toEqual([2, 3, 4, 10 / 3]);
+    });
+});
+
+describe("calculateOverlayPoints", () => {
+    it("places the values of a transform at the middle of each bar", () => {
+        expect(calculateOverlayPoints({ transform: "cumulative" }, bars, [0, 40])).toEqual([
+            { x: 5, y: 2 },
+            { x: 15, y: 6 },
+            { x: 25, y: 12 },
+            { x: 35, y: 12 }
+        ]);
+    });
+
+    it("passes the bars and the overlay to a custom transform", () => {
+        const overlay = { transform: jest.fn((transformedBars) => transformedBars.map(() => 1)) };
+
+        expect(calculateOverlayPoints(overlay, bars.slice(0, 1), [0, 10])).toEqual([{ x: 5, y: 1 }]);
+        expect(overlay.transform).toHaveBeenCalledWith(bars.slice(0, 1), overlay);
+    });
+
+    it("sorts the points of a series with its own data and ignores the ones outside of the domain", () => {
+        const overlay = {
+            data: [{ t: 30, v: 3 }, { t: 10, v: 1 }, { t: 50, v: 5 }],
+            xAccessor: (elm) => elm.t,
+            yAccessor: (elm) => elm.v
+        };
+
+        expect(calculateOverlayPoints(overlay, bars, [new Date(0), new Date(40)])).toEqual([
+            { x: 10, y: 1 },
+            { x: 30, y: 3 }
+        ]);
+    });
+});
+
+describe("createLinePath", () => {
+    const xScale = (x) => x * 2;
+    const yScale = (y) => 100 - y;
+
+    it("creates a line through the given points", () => {
+        expect(createLinePath([{ x: 0, y: 10 }, { x: 5, y: 20 }], xScale, yScale)).toBe("M0,90L10,80");
+    });
+
+    it("leaves a gap at the points without a value", () => {
+        expect(createLinePath([
+            { x: 0, y: 10 },
+            { x: 5, y: undefined },
+            { x: 10, y: 20 },
+            { x: 15, y: 30 }
+        ], xScale, yScale)).toBe("M0,90M20,80L30,70");
+    });
+
+    it("returns an empty path if there are no points", () => {
+        expect(createLinePath([], xScale, yScale)).toBe("");
+    });
+});
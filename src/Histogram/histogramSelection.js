@@ -0,0 +1,115 @@
+/**
+ * histogramSelection
+ *
+ * This module contains the logic of the selection of histogram bins. The selection is kept as a list of time ranges
+ * (`{ min, max }` timestamps) instead of bin indexes, so that it is preserved when the bins change while zooming.
+ */
+
+/**
+ * Returns the time range of the given bar.
+ * @param {Object} bar
+ * @returns {Object}
+ * @private
+ */
+function toRange(bar) {
+    return { min: Number(bar.x0), max: Number(bar.x1) };
+}
+
+/**
+ * Sorts the given ranges and merges the ones that overlap or touch each other.
+ *
+ * @param {Array.<Object>} ranges
+ * @returns {Array.<Object>}
+ */
+export function mergeRanges(ranges) {
+    const sortedRanges = ranges.slice().sort((range1, range2) => range1.min - range2.min);
+    const mergedRanges = [];
+
+    sortedRanges.forEach((range) => {
+        const lastRange = mergedRanges[mergedRanges.length - 1];
+
+        if (lastRange && range.min <= lastRange.max) {
+            lastRange.max = Math.max(lastRange.max, range.max);
+        } else {
+            mergedRanges.push({ min: range.min, max: range.max });
+        }
+    });
+
+    return mergedRanges;
+}
+
+/**
+ * Removes the given range from the ranges, splitting the ones that contain it.
+ *
+ * @param {Array.<Object>} ranges
+ * @param {Object} removedRange
+ * @returns {Array.<Object>}
+ * @private
+ */
+function subtractRange(ranges, removedRange) {
+    const remainingRanges = [];
+
+    ranges.forEach((range) => {
+        if (range.min < removedRange.min) {
+            remainingRanges.push({ min: range.min, max: Math.min(range.max, removedRange.min) });
+        }
+
+        if (range.max > removedRange.max) {
+            remainingRanges.push({ min: Math.max(range.min, removedRange.max), max: range.max });
+        }
+    });
+
+    return remainingRanges;
+}
+
+/**
+ * Returns whenever the given bar is selected, i.e., whenever it overlaps any of the selected ranges. When zooming out
+ * a bar that is only partially selected is shown as selected.
+ *
+ * @param {Object} bar
+ * @param {Array.<Object>} selectedBins
+ * @returns {boolean}
+ */
+export function isBarSelected(bar, selectedBins) {
+    const { min, max } = toRange(bar);
+
+    return selectedBins.some((range) => range.min < max && range.max > min);
+}
+
+/**
+ * Calculates the selected ranges after clicking the bar with the given index:
+ * - A click selects only the clicked bar, or clears the selection if it was the only one selected.
+ * - A click with `isToggle` (e.g., with the ctrl key) adds the bar to the selection or removes it.
+ * - A click with `isRange` (e.g., with the shift key) selects the bars between the anchor bar and the clicked one.
+ *
+ * @param {Array.<Object>} selectedBins
+ * @param {Array.<Object>} bars
+ * @param {number} index
+ * @param {Object} options
+ * @param {boolean} options.isToggle
+ * @param {boolean} options.isRange
+ * @param {number|null} options.anchorIndex The index of the last bar clicked without `isRange`, if it is still shown.
+ * @returns {Array.<Object>}
+ */
+export function updateSelectedBins(selectedBins, bars, index, { isToggle, isRange, anchorIndex }) {
+    const clickedRange = toRange(bars[index]);
+
+    if (isRange && anchorIndex !== null) {
+        const firstBar = bars[Math.min(anchorIndex, index)];
+        const lastBar = bars[Math.max(anchorIndex, index)];
+
+        return [{ min: Number(firstBar.x0), max: Number(lastBar.x1) }];
+    }
+
+    if (isToggle) {
+        return isBarSelected(bars[index], selectedBins)
+            ? subtractRange(selectedBins, clickedRange)
+            : mergeRanges(selectedBins.concat(clickedRange));
+    }
+
+    const isOnlySelectedBar = selectedBins.length === 1
+        && selectedBins[0].min === clickedRange.min
+        && selectedBins[0].max === clickedRange.max;
+
+    return isOnlySelectedBar ? [] : [clickedRange];
+}
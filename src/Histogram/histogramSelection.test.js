@@ -0,0 +1,61 @@
+import { mergeRanges, isBarSelected, updateSelectedBins } from "./histogramSelection";
+
+const bars = [
+    { x0: new Date(0), x1: new Date(10) },
+    { x0: new Date(10), x1: new Date(20) },
+    { x0: new Date(20), x1: new Date(30) },
+    { x0: new Date(30), x1: new Date(40) }
+];
+
+const click = { isToggle: false, isRange: false, anchorIndex: null };
+
+describe("mergeRanges", () => {
+    it("sorts the ranges and merges the ones that overlap or touch each other", () => {
+        expect(mergeRanges([{ min: 20, max: 30 }, { min: 0, max: 10 }, { min: 10, max: 15 }])).toEqual([
+            { min: 0, max: 15 },
+            { min: 20, max: 30 }
+        ]);
+    });
+});
+
+describe("isBarSelected", () => {
+    it("returns true if the bar overlaps a selected range", () => {
+        expect(isBarSelected(bars[1], [{ min: 15, max: 17 }])).toBe(true);
+    });
+
+    it("returns false if the bar only touches a selected range", () => {
+        expect(isBarSelected(bars[1], [{ min: 0, max: 10 }, { min: 20, max: 30 }])).toBe(false);
+    });
+});
+
+describe("updateSelectedBins", () => {
+    it("selects only the clicked bar", () => {
+        expect(updateSelectedBins([{ min: 0, max: 10 }], bars, 2, click)).toEqual([{ min: 20, max: 30 }]);
+    });
+
+    it("clears the selection when clicking the only selected bar", () => {
+        expect(updateSelectedBins([{ min: 20, max: 30 }], bars, 2, click)).toEqual([]);
+    });
+
+    it("adds the clicked bar to the selection when toggling", () => {
+        expect(updateSelectedBins([{ min: 0, max: 10 }], bars, 1, { ...click, isToggle: true })).toEqual([
+            { min: 0, max: 20 }
+        ]);
+    });
+
+    it("removes the clicked bar from the selection when toggling a selected bar", () => {
+        expect(updateSelectedBins([{ min: 0, max: 40 }], bars, 1, { ...click, isToggle: true })).toEqual([
+            { min: 0, max: 10 },
+            { min: 20, max: 40 }
+        ]);
+    });
+
+    it("selects the bars between the anchor and the clicked bar when selecting a range", () => {
+        expect(updateSelectedBins([{ min: 30, max: 40 }], bars, 1, { ...click, isRange: true, anchorIndex: 3 }))
+            .toEqual([{ min: 10, max: 40 }]);
+    });
+
+    it("selects only the clicked bar when selecting a range without anchor", () => {
+        expect(updateSelectedBins([], bars, 1, { ...click, isRange: true })).toEqual([{ min: 10, max: 20 }]);
+    });
+});
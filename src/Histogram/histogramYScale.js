@@ -0,0 +1,104 @@
+import { scaleLinear, scaleLog, scaleSqrt } from "d3-scale";
+
+/**
+ * histogramYScale
+ *
+ * This module contains the creation of the histogram y scale for each of the supported scale types.
+ */
+
+/**
+ * The symmetric log transform, which is defined for zero and negative values.
+ * @param {number} value
+ * @returns {number}
+ */
+function symlog(value) {
+    return Math.sign(value) * Math.log1p(Math.abs(value));
+}
+
+/**
+ * The inverse of the symmetric log transform.
+ * @param {number} value
+ * @returns {number}
+ */
+function symexp(value) {
+    return Math.sign(value) * Math.expm1(Math.abs(value));
+}
+
+/**
+ * Creates a symmetric log scale, i.e., a scale that is linear near zero and logarithmic for bigger values, with
+ * the subset of the d3 continuous scales API used by the histogram and by d3-axis. The ticks are the ones of a linear
+ * scale with the same domain.
+ *
+ * @param {Object} [transformedScale] The linear scale of the transformed values.
+ * @param {Array.<number>} [domain]
+ * @returns {function}
+ */
+export function createSymlogScale(transformedScale = scaleLinear(), domain = [0, 1]) {
+    let currentDomain = domain;
+
+    const scale = (value) => transformedScale(symlog(value));
+    const createLinearScale = () => scaleLinear().domain(currentDomain);
+
+    scale.domain = (...args) => {
+        if (args.length === 0) {
+            return currentDomain.slice();
+        }
+
+        currentDomain = args[0].map(Number);
+        transformedScale.domain(currentDomain.map(symlog));
+
+        return scale;
+    };
+
+    scale.range = (...args) => {
+        if (args.length === 0) {
+            return transformedScale.range();
+        }
+
+        transformedScale.range(args[0]);
+
+        return scale;
+    };
+
+    scale.invert = (value) => symexp(transformedScale.invert(value));
+
+    scale.ticks = (count) => createLinearScale().ticks(count);
+
+    scale.tickFormat = (count, specifier) => createLinearScale().tickFormat(count, specifier);
+
+    scale.copy = () => createSymlogScale(transformedScale.copy(), currentDomain);
+
+    return scale;
+}
+
+/**
+ * Creates the histogram y scale of the given type for the given values.
+ *
+ * The logarithm of zero is not defined, so the log scale starts at the power of ten below the smallest positive value,
+ * and it is clamped so that the zero and negative values are at the bottom of the chart, i.e., they have no height.
+ *
+ * @param {string} yScaleType One of "linear", "log", "sqrt" or "symlog".
+ * @param {Array.<number>} domain The smallest and the biggest values, which must include zero.
+ * @param {number} [minPositiveY] The smallest positive value, only needed by the log scale.
+ * @returns {function}
+ */
+export function createHistogramYScale(yScaleType, domain, minPositiveY) {
+    if (yScaleType === "log") {
+        const min = minPositiveY > 0 ? minPositiveY / 10 : 0.1;
+
+        return scaleLog()
+            .domain([min, Math.max(domain[1], min * 10)])
+            .nice()
+            .clamp(true);
+    }
+
+    if (yScaleType === "sqrt") {
+        return scaleSqrt().domain(domain);
+    }
+
+    if (yScaleType === "symlog") {
+        return createSymlogScale().domain(domain);
+    }
+
+    return scaleLinear().domain(domain);
+}
@@ -0,0 +1,75 @@
+import { createSymlogScale, createHistogramYScale } from "./histogramYScale";
+
+describe("createSymlogScale", () => {
+    let scale;
+
+    beforeEach(() => {
+        scale = createSymlogScale()
+            .domain([0, 999])
+            .range([100, 0]);
+    });
+
+    it("maps zero to the start of the range and is logarithmic for bigger values", () => {
+        expect(scale(0)).toBe(100);
+        expect(scale(999)).toBe(0);
+        expect(scale(9)).toBeCloseTo(200 / 3);
+    });
+
+    it("inverts the values", () => {
+        expect(scale.invert(scale(42))).toBeCloseTo(42);
+    });
+
+    it("uses the ticks of a linear scale", () => {
+        expect(scale.ticks(2)).toEqual([0, 500]);
+    });
+
+    it("creates independent copies", () => {
+        const copy = scale.copy().domain([0, 9]);
+
+        expect(copy(9)).toBe(0);
+        expect(scale.domain()).toEqual([0, 999]);
+        expect(copy.range()).toEqual([100, 0]);
+    });
+});
+
+describe("createHistogramYScale", () => {
+    it("creates a linear scale by default", () => {
+        const scale = createHistogramYScale("linear", [0, 10]).range([100, 0]);
+
+        expect(scale(5)).toBe(50);
+    });
+
+    it("creates a square root scale", () => {
+        const scale = createHistogramYScale("sqrt", [0, 100]).range([100, 0]);
+
+        expect(scale(25)).toBe(50);
+    });
+
+    it("creates a symmetric log scale", () => {
+        const scale = createHistogramYScale("symlog", [0, 999]).range([100, 0]);
+
+        expect(scale(0)).toBe(100);
+        expect(scale(9)).toBeCloseTo(200 / 3);
+    });
+
+    it("starts the log scale at the power of ten below the smallest positive value", () => {
+        const scale = createHistogramYScale("log", [0, 1000], 3).range([100, 0]);
+
+        expect(scale.domain()).toEqual([0.1, 1000]);
+        expect(scale(1)).toBe(75);
+    });
+
+    it("places the zero and negative values at the bottom of the log scale", () => {
+        const scale = createHistogramYScale("log", [-10, 1000], 1).range([100, 0]);
+
+        expect(scale(0)).toBe(100);
+        expect(scale(-5)).toBe(100);
+    });
+
+    it("spans the negative values", () => {
+        const scale = createHistogramYScale("linear", [-10, 10]).range([100, 0]);
+
+        expect(scale(0)).toBe(50);
+        expect(scale(-10)).toBe(100);
+    });
+});
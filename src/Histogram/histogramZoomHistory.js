@@ -0,0 +1,73 @@
+import { ZOOM_HISTORY_SIZE } from "../constants";
+
+/**
+ * histogramZoomHistory
+ *
+ * This module contains the history of the brushed domains, which allows going back to the previous zoom levels and
+ * forward again. The history is immutable, so that it can be kept in the component state.
+ */
+
+/**
+ * The history without any brushed domains.
+ */
+export const EMPTY_ZOOM_HISTORY = {
+    past: [],
+    future: []
+};
+
+/**
+ * Adds the given brushed domain, which is being left, to the history. Since a new zoom level is being reached the
+ * domains that were gone back from are discarded, and only the latest `ZOOM_HISTORY_SIZE` domains are kept.
+ *
+ * @param {Object} zoomHistory
+ * @param {Object} brushDomain
+ * @returns {Object}
+ */
+export function pushZoomHistory(zoomHistory, brushDomain) {
+    return {
+        past: zoomHistory.past.concat(brushDomain).slice(-ZOOM_HISTORY_SIZE),
+        future: []
+    };
+}
+
+/**
+ * Goes back to the previous brushed domain in the history, keeping the current one to go forward to.
+ *
+ * @param {Object} zoomHistory
+ * @param {Object} currentBrushDomain
+ * @returns {Object|null} The new `zoomHistory` and the `brushDomain` to go back to, or null if there is none.
+ */
+export function goBackInZoomHistory({ past, future }, currentBrushDomain) {
+    if (past.length === 0) {
+        return null;
+    }
+
+    return {
+        zoomHistory: {
+            past: past.slice(0, -1),
+            future: [ currentBrushDomain ].concat(future)
+        },
+        brushDomain: past[past.length - 1]
+    };
+}
+
+/**
+ * Goes forward to the next brushed domain in the history, keeping the current one to go back to.
+ *
+ * @param {Object} zoomHistory
+ * @param {Object} currentBrushDomain
+ * @returns {Object|null} The new `zoomHistory` and the `brushDomain` to go forward to, or null if there is none.
+ */
+export function goForwardInZoomHistory({ past, future }, currentBrushDomain) {
+    if (future.length === 0) {
+        return null;
+    }
+
+    return {
+        zoomHistory: {
+            past: past.concat(currentBrushDomain),
+            future: future.slice(1)
+        },
+        brushDomain: future[0]
+    };
+}
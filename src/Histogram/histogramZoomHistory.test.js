@@ -0,0 +1,60 @@
+import {
+    EMPTY_ZOOM_HISTORY,
+    pushZoomHistory,
+    goBackInZoomHistory,
+    goForwardInZoomHistory
+} from "./histogramZoomHistory";
+import { ZOOM_HISTORY_SIZE } from "../constants";
+
+const firstDomain = { min: 0, max: 100 };
+const secondDomain = { min: 20, max: 80 };
+const thirdDomain = { min: 40, max: 60 };
+
+describe("pushZoomHistory", () => {
+    it("adds the domain and discards the domains to go forward to", () => {
+        const zoomHistory = pushZoomHistory({ past: [ firstDomain ], future: [ thirdDomain ] }, secondDomain);
+
+        expect(zoomHistory).toEqual({ past: [ firstDomain, secondDomain ], future: [] });
+    });
+
+    it("only keeps the latest domains", () => {
+        let zoomHistory = EMPTY_ZOOM_HISTORY;
+
+        for (let index = 0; index <= ZOOM_HISTORY_SIZE; index++) {
+            zoomHistory = pushZoomHistory(zoomHistory, { min: index, max: 100 });
+        }
+
+        expect(zoomHistory.past.length).toBe(ZOOM_HISTORY_SIZE);
+        expect(zoomHistory.past[0]).toEqual({ min: 1, max: 100 });
+    });
+});
+
+describe("goBackInZoomHistory", () => {
+    it("returns the previous domain and keeps the current one to go forward to", () => {
+        const zoomHistory = { past: [ firstDomain, secondDomain ], future: [] };
+
+        expect(goBackInZoomHistory(zoomHistory, thirdDomain)).toEqual({
+            zoomHistory: { past: [ firstDomain ], future: [ thirdDomain ] },
+            brushDomain: secondDomain
+        });
+    });
+
+    it("returns null if there is no previous domain", () => {
+        expect(goBackInZoomHistory(EMPTY_ZOOM_HISTORY, firstDomain)).toBe(null);
+    });
+});
+
+describe("goForwardInZoomHistory", () => {
+    it("returns the next domain and keeps the current one to go back to", () => {
+        const zoomHistory = { past: [ firstDomain ], future: [ secondDomain, thirdDomain ] };
+
+        expect(goForwardInZoomHistory(zoomHistory, firstDomain)).toEqual({
+            zoomHistory: { past: [ firstDomain, firstDomain ], future: [ thirdDomain ] },
+            brushDomain: secondDomain
+        });
+    });
+
+    it("returns null if there is no next domain", () => {
+        expect(goForwardInZoomHistory(EMPTY_ZOOM_HISTORY, firstDomain)).toBe(null);
+    });
+});
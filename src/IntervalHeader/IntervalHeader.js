@@ -0,0 +1,254 @@
+import React, { PureComponent } from "react";
+import PropTypes from "prop-types";
+import { timeFormat, timeParse, utcFormat, utcParse } from "d3-time-format";
+import { toZonedTimestamp, fromZonedTimestamp } from "../timeZoneUtils";
+
+// The formats of the values of the datetime-local inputs, which only have seconds when they aren't zero
+const INPUT_DATE_FORMAT = "%Y-%m-%dT%H:%M:%S";
+const INPUT_DATE_FORMAT_WITHOUT_SECONDS = "%Y-%m-%dT%H:%M";
+
+/**
+ * Formats the given value as the value of an input, in the given time zone for the time scales.
+ *
+ * @param {number} value
+ * @param {boolean} isTimeScale
+ * @param {string|null} timeZone
+ * @returns {string}
+ * @private
+ */
+function formatInputValue(value, isTimeScale, timeZone) {
+    if (!isTimeScale) {
+        return String(value);
+    }
+
+    if (timeZone) {
+        return utcFormat(INPUT_DATE_FORMAT)(new Date(toZonedTimestamp(timeZone, value)));
+    }
+
+    return timeFormat(INPUT_DATE_FORMAT)(new Date(value));
+}
+
+/**
+ * Parses the value of an input, in the given time zone for the time scales.
+ *
+ * @param {string} inputValue
+ * @param {boolean} isTimeScale
+ * @param {string|null} timeZone
+ * @returns {number} The parsed value, or NaN if it is invalid.
+ * @private
+ */
+function parseInputValue(inputValue, isTimeScale, timeZone) {
+    if (!isTimeScale) {
+        return inputValue.trim() === "" ? NaN : Number(inputValue);
+    }
+
+    const parse = timeZone ? utcParse : timeParse;
+    const date = parse(INPUT_DATE_FORMAT)(inputValue) || parse(INPUT_DATE_FORMAT_WITHOUT_SECONDS)(inputValue);
+
+    if (date === null) {
+        return NaN;
+    }
+
+    return timeZone ? fromZonedTimestamp(timeZone, date) : date.getTime();
+}
+
+/**
+ * IntervalHeader
+ *
+ * Renders the brushed interval as editable inputs, so that exact boundaries can be brushed. The edited interval is
+ * validated and applied when pressing enter or leaving the inputs.
+ */
+export default class IntervalHeader extends PureComponent {
+    static propTypes = {
+        brushDomainMin: PropTypes.number.isRequired,
+        brushDomainMax: PropTypes.number.isRequired,
+        overallTimeDomainMin: PropTypes.number.isRequired,
+        overallTimeDomainMax: PropTypes.number.isRequired,
+        minZoomUnit: PropTypes.number.isRequired,
+        onDomainChanged: PropTypes.func.isRequired,
+        isTimeScale: PropTypes.bool,
+        timeZone: PropTypes.string
+    };
+
+    static defaultProps = {
+        isTimeScale: true,
+        timeZone: null
+    };
+
+    static getDerivedStateFromProps(props, state) {
+        const { brushDomainMin, brushDomainMax, isTimeScale, timeZone } = props;
+
+        // The inputs are reset whenever the brushed interval changes, discarding any edits
+        if (brushDomainMin === state.brushDomainMin && brushDomainMax === state.brushDomainMax
+            && isTimeScale === state.isTimeScale && timeZone === state.timeZone) {
+            return null;
+        }
+
+        return {
+            brushDomainMin,
+            brushDomainMax,
+            isTimeScale,
+            timeZone,
+            minInputValue: formatInputValue(brushDomainMin, isTimeScale, timeZone),
+            maxInputValue: formatInputValue(brushDomainMax, isTimeScale, timeZone),
+            error: null
+        };
+    }
+
+    state = {};
+
+    /**
+     * Handles changes of the start input.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onChangeMin = (evt) => {
+        this.setState({ minInputValue: evt.target.value });
+    };
+
+    /**
+     * Handles changes of the end input.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onChangeMax = (evt) => {
+        this.setState({ maxInputValue: evt.target.value });
+    };
+
+    /**
+     * Applies the edited interval when pressing enter.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onKeyDown = (evt) => {
+        if (evt.key === "Enter") {
+            this._applyInterval();
+        }
+    };
+
+    /**
+     * Applies the edited interval when the focus leaves the inputs, but not when it moves from one input to the
+     * other.
+     *
+     * @param {Object} evt
+     * @private
+     */
+    _onBlur = (evt) => {
+        if (evt.currentTarget.contains(evt.relatedTarget)) {
+            return;
+        }
+
+        this._applyInterval();
+    };
+
+    /**
+     * Returns the value of the given input. The inputs have no milliseconds, so the brushed values are kept
+     * when their inputs weren't edited.
+     *
+     * @param {string} inputValue
+     * @param {number} brushedValue
+     * @returns {number}
+     * @private
+     */
+    _getInputValue(inputValue, brushedValue) {
+        const { isTimeScale, timeZone } = this.props;
+
+        if (inputValue === formatInputValue(brushedValue, isTimeScale, timeZone)) {
+            return brushedValue;
+        }
+
+        return parseInputValue(inputValue, isTimeScale, timeZone);
+    }
+
+    /**
+     * Returns the error of the given interval, or null if it can be brushed.
+     *
+     * @param {number} min
+     * @param {number} max
+     * @returns {string|null}
+     * @private
+     */
+    _validateInterval(min, max) {
+        const { overallTimeDomainMin, overallTimeDomainMax, minZoomUnit } = this.props;
+
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            return "Invalid value";
+        }
+
+        if (min >= max) {
+            return "The start must be before the end";
+        }
+
+        if (min < overallTimeDomainMin || max > overallTimeDomainMax) {
+            return "The interval must be within the data";
+        }
+
+        if (max - min < minZoomUnit) {
+            return "The interval is too short";
+        }
+
+        return null;
+    }
+
+    /**
+     * Validates the edited interval and, if it is valid, proposes it as the new brushed domain.
+     * @private
+     */
+    _applyInterval() {
+        const { brushDomainMin, brushDomainMax } = this.props;
+        const min = this._getInputValue(this.state.minInputValue, brushDomainMin);
+        const max = this._getInputValue(this.state.maxInputValue, brushDomainMax);
+        const error = this._validateInterval(min, max);
+
+        this.setState({ error });
+
+        if (error === null && (min !== brushDomainMin || max !== brushDomainMax)) {
+            this.props.onDomainChanged([ min, max ]);
+        }
+    }
+
+    /**
+     * Renders the input of one of the edges of the interval.
+     *
+     * @param {string} label
+     * @param {string} value
+     * @param {function} onChange
+     * @returns {React.Element}
+     * @private
+     */
+    _renderInput(label, value, onChange) {
+        const className = this.state.error === null
+            ? "fdz-css-graph-histogram-interval__input"
+            : "fdz-css-graph-histogram-interval__input fdz-css-graph-histogram-interval__input--invalid";
+
+        return (
+            <input
+                className={className}
+                type={this.props.isTimeScale ? "datetime-local" : "number"}
+                step={this.props.isTimeScale ? "1" : "any"}
+                aria-label={label}
+                value={value}
+                onChange={onChange}
+                onKeyDown={this._onKeyDown}
+            />
+        );
+    }
+
+    render() {
+        const { minInputValue, maxInputValue, error } = this.state;
+
+        return (
+            <div className="fdz-css-graph-histogram-interval" onBlur={this._onBlur}>
+                {this._renderInput("Start", minInputValue, this._onChangeMin)}
+                <span className="fdz-css-graph-histogram-interval__separator">–</span>
+                {this._renderInput("End", maxInputValue, this._onChangeMax)}
+                {error === null ? null : (
+                    <span className="fdz-css-graph-histogram-interval__error" role="alert">{error}</span>
+                )}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,115 @@
+import React from "react";
+import { mount } from "enzyme";
+import { timeFormat } from "d3-time-format";
+import IntervalHeader from "./IntervalHeader";
+
+const MINUTE = 60 * 1000;
+
+let onDomainChanged, wrapper;
+
+const overallTimeDomainMin = Date.UTC(2018, 7, 3, 0, 0, 0, 34);
+const overallTimeDomainMax = Date.UTC(2018, 7, 4, 0, 0, 0);
+const brushDomainMin = Date.UTC(2018, 7, 3, 12, 0, 0, 34);
+const brushDomainMax = Date.UTC(2018, 7, 3, 18, 0, 0);
+
+const getInput = (index) => wrapper.find("input").at(index);
+const editInput = (index, value) => getInput(index).simulate("change", { target: { value } });
+const pressEnter = (index) => getInput(index).simulate("keydown", { key: "Enter" });
+
+beforeEach(() => {
+    onDomainChanged = jest.fn();
+
+    wrapper = mount(<IntervalHeader
+        brushDomainMin={brushDomainMin}
+        brushDomainMax={brushDomainMax}
+        overallTimeDomainMin={overallTimeDomainMin}
+        overallTimeDomainMax={overallTimeDomainMax}
+        minZoomUnit={MINUTE}
+        timeZone="UTC"
+        onDomainChanged={onDomainChanged}
+    />);
+});
+
+describe("render", () => {
+    it("renders the brushed interval in the time zone", () => {
+        expect(getInput(0).prop("value")).toBe("2018-08-03T12:00:00");
+        expect(getInput(1).prop("value")).toBe("2018-08-03T18:00:00");
+        expect(getInput(0).prop("type")).toBe("datetime-local");
+    });
+
+    it("renders the brushed interval in the browser's time zone without a time zone", () => {
+        wrapper.setProps({ timeZone: null });
+
+        expect(getInput(0).prop("value")).toBe(timeFormat("%Y-%m-%dT%H:%M:%S")(new Date(brushDomainMin)));
+    });
+
+    it("renders number inputs for numeric values", () => {
+        wrapper.setProps({ isTimeScale: false });
+
+        expect(getInput(0).prop("type")).toBe("number");
+        expect(getInput(0).prop("value")).toBe(String(brushDomainMin));
+    });
+
+    it("resets the inputs when the brushed interval changes", () => {
+        editInput(0, "2018-08-03T13:00:00");
+
+        wrapper.setProps({ brushDomainMin: Date.UTC(2018, 7, 3, 14, 0, 0) });
+
+        expect(getInput(0).prop("value")).toBe("2018-08-03T14:00:00");
+    });
+});
+
+describe("_applyInterval", () => {
+    it("proposes the edited interval when pressing enter", () => {
+        editInput(0, "2018-08-03T14:05:00");
+        editInput(1, "2018-08-03T14:10");
+        pressEnter(1);
+
+        expect(onDomainChanged).toHaveBeenCalledWith([
+            Date.UTC(2018, 7, 3, 14, 5, 0),
+            Date.UTC(2018, 7, 3, 14, 10, 0)
+        ]);
+    });
+
+    it("keeps the brushed value of the edge that wasn't edited", () => {
+        editInput(1, "2018-08-03T14:10:00");
+        pressEnter(1);
+
+        expect(onDomainChanged).toHaveBeenCalledWith([ brushDomainMin, Date.UTC(2018, 7, 3, 14, 10, 0) ]);
+    });
+
+    it("proposes the edited interval when the focus leaves the inputs, but not when it moves between them", () => {
+        editInput(0, "2018-08-03T14:05:00");
+
+        getInput(0).simulate("blur", { relatedTarget: getInput(1).getDOMNode() });
+
+        expect(onDomainChanged).not.toHaveBeenCalled();
+
+        getInput(1).simulate("blur", { relatedTarget: null });
+
+        expect(onDomainChanged).toHaveBeenCalledWith([ Date.UTC(2018, 7, 3, 14, 5, 0), brushDomainMax ]);
+    });
+
+    it("doesn't propose the interval if it didn't change", () => {
+        pressEnter(0);
+
+        expect(onDomainChanged).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        [ "an invalid value", "", "2018-08-03T14:10:00", "Invalid value" ],
+        [ "a start after the end", "2018-08-03T14:10:00", "2018-08-03T14:05:00", "The start must be before the end" ],
+        [ "an interval outside of the data", "2018-08-02T14:05:00", "2018-08-03T14:10:00",
+            "The interval must be within the data" ],
+        [ "an interval shorter than minZoomUnit", "2018-08-03T14:05:00", "2018-08-03T14:05:30",
+            "The interval is too short" ]
+    ])("shows an error for %s", (description, minInputValue, maxInputValue, error) => {
+        editInput(0, minInputValue);
+        editInput(1, maxInputValue);
+        pressEnter(1);
+
+        expect(onDomainChanged).not.toHaveBeenCalled();
+        expect(wrapper.find(".fdz-css-graph-histogram-interval__error").text()).toBe(error);
+        expect(getInput(0).hasClass("fdz-css-graph-histogram-interval__input--invalid")).toBe(true);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * annotationUtils
+ *
+ * Contains the logic to position the annotations (reference lines, time markers and shaded time ranges) in the
+ * histogram and in the density chart.
+ */
+
+/**
+ * Returns whenever the given annotation marks a position of the x axis (a time marker or a time range), as opposed
+ * to a value of the y axis.
+ *
+ * @param {Object} annotation
+ * @returns {boolean}
+ */
+export function isXAnnotation(annotation) {
+    return annotation.type === "x" || annotation.type === "range";
+}
+
+/**
+ * Calculates the position of the given annotation in a chart with the given scales and height. The positions are
+ * clamped to the range of the scales and the annotations outside of them return null.
+ *
+ * - A `"y"` annotation is an horizontal line, at its `value`, with `x1`, `x2`, `y1` and `y2`.
+ * - A `"x"` annotation is a vertical line, at its `value`, with `x1`, `x2`, `y1` and `y2`.
+ * - A `"range"` annotation is a rectangle, between its `from` and `to` values, with `x`, `y`, `width` and `height`.
+ *
+ * @param {Object} annotation
+ * @param {Object} options
+ * @param {function} options.xScale
+ * @param {function|null} options.yScale Without a y scale the `"y"` annotations are not positioned.
+ * @param {number} options.height
+ * @returns {Object|null}
+ */
+export function calculateAnnotationPosition(annotation, { xScale, yScale, height }) {
+    const [ minX, maxX ] = xScale.range();
+
+    if (annotation.type === "y") {
+        if (!yScale) {
+            return null;
+        }
+
+        const [ minValue, maxValue ] = yScale.domain();
+
+        if (annotation.value < minValue || annotation.value > maxValue) {
+            return null;
+        }
+
+        const y = yScale(annotation.value);
+
+        return { x1: minX, x2: maxX, y1: y, y2: y };
+    }
+
+    if (annotation.type === "x") {
+        const x = xScale(Number(annotation.value));
+
+        if (x < minX || x > maxX) {
+            return null;
+        }
+
+        return { x1: x, x2: x, y1: 0, y2: height };
+    }
+
+    const x0 = Math.max(xScale(Number(annotation.from)), minX);
+    const x1 = Math.min(xScale(Number(annotation.to)), maxX);
+
+    if (x1 <= x0) {
+        return null;
+    }
+
+    return { x: x0, y: 0, width: x1 - x0, height };
+}
@@ -0,0 +1,47 @@
+import { scaleLinear } from "d3-scale";
+import { isXAnnotation, calculateAnnotationPosition } from "./annotationUtils";
+
+const xScale = scaleLinear().domain([0, 100]).range([10, 110]);
+const yScale = scaleLinear().domain([0, 10]).range([50, 0]);
+const options = { xScale, yScale, height: 50 };
+
+describe("isXAnnotation", () => {
+    it("returns true for the time markers and time ranges", () => {
+        expect(isXAnnotation({ type: "x" })).toBe(true);
+        expect(isXAnnotation({ type: "range" })).toBe(true);
+        expect(isXAnnotation({ type: "y" })).toBe(false);
+    });
+});
+
+describe("calculateAnnotationPosition", () => {
+    it("positions a y annotation as an horizontal line across the chart", () => {
+        expect(calculateAnnotationPosition({ type: "y", value: 5 }, options)).toEqual({
+            x1: 10, x2: 110, y1: 25, y2: 25
+        });
+    });
+
+    it("returns null for a y annotation outside of the y domain or without y scale", () => {
+        expect(calculateAnnotationPosition({ type: "y", value: 11 }, options)).toBe(null);
+        expect(calculateAnnotationPosition({ type: "y", value: 5 }, { ...options, yScale: null })).toBe(null);
+    });
+
+    it("positions a x annotation as a vertical line", () => {
+        expect(calculateAnnotationPosition({ type: "x", value: new Date(20) }, options)).toEqual({
+            x1: 30, x2: 30, y1: 0, y2: 50
+        });
+    });
+
+    it("returns null for a x annotation outside of the x domain", () => {
+        expect(calculateAnnotationPosition({ type: "x", value: 101 }, options)).toBe(null);
+    });
+
+    it("positions a range annotation as a rectangle clamped to the x range", () => {
+        expect(calculateAnnotationPosition({ type: "range", from: -50, to: 30 }, options)).toEqual({
+            x: 10, y: 0, width: 30, height: 50
+        });
+    });
+
+    it("returns null for a range annotation outside of the x domain", () => {
+        expect(calculateAnnotationPosition({ type: "range", from: 150, to: 200 }, options)).toBe(null);
+    });
+});
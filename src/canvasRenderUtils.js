@@ -47,6 +47,7 @@ export function drawRect(canvasContext, x = 0, y = 0, width = 0, height = 0, opt
     canvasContext.beginPath();
 
     canvasContext.fillStyle = isObject(options) && (options.fillStyle) ? options.fillStyle : "transparent";
+    canvasContext.globalAlpha = isObject(options) && Number.isFinite(options.globalAlpha) ? options.globalAlpha : 1;
 
     canvasContext.fillRect(x, y, width, height);
 }
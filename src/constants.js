@@ -14,6 +14,12 @@ export const X_AXIS_PADDING = .02;
 export const Y_AXIS_PADDING = 3;
 export const BUTTON_PADDING = 20;
 
+// The width of each of the preset buttons next to the density chart
+export const PRESET_BUTTON_WIDTH = 36;
+
+// The height of the header above the histogram chart with the interval inputs and the zoom toolbar
+export const HEADER_HEIGHT = 24;
+
 // We place as many ticks as a third of the number of bars, enough to give context and not overlap.
 export const BARS_TICK_RATIO = 3;
 
@@ -30,3 +36,34 @@ export const MIN_TOTAL_HEIGHT = 100;
 
 // An internal magic value used to align things horizontally
 export const PADDING = 10;
+
+// The default colors of each series when the bars are split by series
+export const DEFAULT_SERIES_COLORS = [
+    "rgba(33, 150, 243, 0.6)",
+    "rgba(255, 152, 0, 0.6)",
+    "rgba(76, 175, 80, 0.6)",
+    "rgba(156, 39, 176, 0.6)",
+    "rgba(244, 67, 54, 0.6)",
+    "rgba(0, 188, 212, 0.6)"
+];
+
+// The default colors of the bars when they are rendered in a canvas
+export const DEFAULT_BAR_COLOR = "rgba(33, 150, 243, 0.4)";
+export const DEFAULT_BAR_HOVER_COLOR = "rgba(100, 181, 246, 0.4)";
+export const DEFAULT_NEGATIVE_BAR_COLOR = "rgba(244, 67, 54, 0.4)";
+
+// The opacity of the bars that are not selected when there is a selection
+export const UNSELECTED_BAR_OPACITY = 0.4;
+
+// The space in pixels between the annotations and their labels
+export const ANNOTATION_LABEL_PADDING = 3;
+
+// The number of brushed domains kept in the zoom history
+export const ZOOM_HISTORY_SIZE = 50;
+
+// The time in milliseconds after which a new brushed domain starts a new zoom history entry, so that the many
+// changes of a single gesture (e.g., scrolling the mouse wheel) are a single entry
+export const ZOOM_HISTORY_GESTURE_DELAY = 500;
+
+// The duration in milliseconds of the animation of the brush to the snapped brushed domain
+export const SNAP_TRANSITION_DURATION = 250;
@@ -0,0 +1,69 @@
+import { dateToTimestamp } from "./utils";
+import { toZonedTimestamp, fromZonedTimestamp } from "./timeZoneUtils";
+
+/**
+ * snapUtils
+ *
+ * Contains the logic to snap the edges of the brushed domain to the edges of the histogram bins or to the boundaries
+ * of a d3-time interval, so that the brushed domain has round values instead of the ones of arbitrary pixels.
+ */
+
+/**
+ * Returns the bin edge that is nearest to the given value.
+ *
+ * @param {number} value
+ * @param {Array.<number>} binEdges
+ * @returns {number}
+ * @private
+ */
+function snapToBinEdges(value, binEdges) {
+    return binEdges.reduce((nearestEdge, edge) => (
+        Math.abs(edge - value) < Math.abs(nearestEdge - value) ? edge : nearestEdge
+    ));
+}
+
+/**
+ * Returns the boundary of the given d3-time interval that is nearest to the given value, in the wall clock of the
+ * time zone if there is one.
+ *
+ * @param {number} value
+ * @param {Object} interval
+ * @param {string|null} timeZone
+ * @returns {number}
+ * @private
+ */
+function snapToInterval(value, interval, timeZone) {
+    if (!timeZone) {
+        return interval.round(new Date(value)).getTime();
+    }
+
+    return fromZonedTimestamp(timeZone, interval.round(new Date(toZonedTimestamp(timeZone, value))));
+}
+
+/**
+ * Snaps the edges of the given brushed domain and clamps them to the overall domain. The brushed domains narrower
+ * than a snapping step, whose edges would snap to the same value, are left as they are.
+ *
+ * @param {Array.<number>} brushedDomain
+ * @param {Object} options
+ * @param {string|Object} options.snapTo Either `"bins"`, to snap to the `binEdges`, or a d3-time interval.
+ * @param {Array.<number|Date>} options.binEdges The limits of the bins of the brushed domain.
+ * @param {string|null} options.timeZone With a time zone the interval must be one of the d3-time UTC intervals.
+ * @param {Object} options.overallTimeDomain
+ * @returns {Array.<number>}
+ */
+export function snapBrushedDomain(brushedDomain, { snapTo, binEdges, timeZone, overallTimeDomain }) {
+    if (snapTo === "bins" && binEdges.length === 0) {
+        return brushedDomain;
+    }
+
+    const binEdgeTimestamps = binEdges.map(dateToTimestamp);
+    const [ snappedMin, snappedMax ] = brushedDomain.map((value) => (
+        snapTo === "bins" ? snapToBinEdges(value, binEdgeTimestamps) : snapToInterval(value, snapTo, timeZone)
+    ));
+
+    const min = Math.max(snappedMin, overallTimeDomain.min);
+    const max = Math.min(snappedMax, overallTimeDomain.max);
+
+    return max > min ? [ min, max ] : brushedDomain;
+}
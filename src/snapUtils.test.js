@@ -0,0 +1,67 @@
+import { utcMinute, utcDay } from "d3-time";
+import { snapBrushedDomain } from "./snapUtils";
+
+const MINUTE = 60 * 1000;
+
+const overallTimeDomain = { min: 0, max: 100 * MINUTE };
+
+const binEdges = [ new Date(0), new Date(10 * MINUTE), new Date(20 * MINUTE), new Date(30 * MINUTE) ];
+
+describe("snapBrushedDomain", () => {
+    it("snaps to the nearest bin edges", () => {
+        expect(snapBrushedDomain([ 4 * MINUTE, 26 * MINUTE ], {
+            snapTo: "bins",
+            binEdges,
+            timeZone: null,
+            overallTimeDomain
+        })).toEqual([ 0, 30 * MINUTE ]);
+    });
+
+    it("snaps to the nearest boundaries of an interval", () => {
+        expect(snapBrushedDomain([ 12 * MINUTE + 1234, 47 * MINUTE + 31000 ], {
+            snapTo: utcMinute.every(5),
+            binEdges,
+            timeZone: "UTC",
+            overallTimeDomain
+        })).toEqual([ 10 * MINUTE, 50 * MINUTE ]);
+    });
+
+    it("snaps to the boundaries of an interval in the time zone", () => {
+        const hour = 60 * MINUTE;
+
+        // Lisbon is one hour ahead of UTC in the summer, so its midnight is at 23:00 UTC
+        expect(snapBrushedDomain([ Date.UTC(2018, 7, 2, 22), Date.UTC(2018, 7, 4, 1) ], {
+            snapTo: utcDay,
+            binEdges,
+            timeZone: "Europe/Lisbon",
+            overallTimeDomain: { min: 0, max: Date.UTC(2019, 0, 1) }
+        })).toEqual([ Date.UTC(2018, 7, 3) - hour, Date.UTC(2018, 7, 4) - hour ]);
+    });
+
+    it("clamps the snapped domain to the overall domain", () => {
+        expect(snapBrushedDomain([ 4 * MINUTE, 26 * MINUTE ], {
+            snapTo: "bins",
+            binEdges,
+            timeZone: null,
+            overallTimeDomain: { min: MINUTE, max: 25 * MINUTE }
+        })).toEqual([ MINUTE, 25 * MINUTE ]);
+    });
+
+    it("doesn't snap a domain narrower than a snapping step", () => {
+        expect(snapBrushedDomain([ 11 * MINUTE, 13 * MINUTE ], {
+            snapTo: "bins",
+            binEdges,
+            timeZone: null,
+            overallTimeDomain
+        })).toEqual([ 11 * MINUTE, 13 * MINUTE ]);
+    });
+
+    it("doesn't snap to the bin edges when there are no bins", () => {
+        expect(snapBrushedDomain([ 4 * MINUTE, 26 * MINUTE ], {
+            snapTo: "bins",
+            binEdges: [],
+            timeZone: null,
+            overallTimeDomain
+        })).toEqual([ 4 * MINUTE, 26 * MINUTE ]);
+    });
+});
@@ -0,0 +1,126 @@
+import { scaleTime, scaleUtc } from "d3-scale";
+
+/**
+ * timeZoneUtils
+ *
+ * Contains the logic to calculate ticks and format dates in a given time zone, instead of the browser's one.
+ *
+ * The d3 time scales and intervals only know the local time zone and UTC, so the dates are "zoned": shifted by the
+ * time zone offset so that their UTC fields are the wall clock of the time zone. The d3 UTC scales and intervals can
+ * then be used with the zoned dates, and the results are shifted back.
+ */
+
+const dateTimeFormatsByTimeZone = {};
+
+/**
+ * Returns the (cached) `Intl.DateTimeFormat` that formats all the date fields in the given time zone.
+ *
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ * @private
+ */
+function getDateTimeFormat(timeZone) {
+    if (!dateTimeFormatsByTimeZone.hasOwnProperty(timeZone)) {
+        dateTimeFormatsByTimeZone[timeZone] = new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hour12: false,
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        });
+    }
+
+    return dateTimeFormatsByTimeZone[timeZone];
+}
+
+/**
+ * Returns the offset of the given time zone from UTC, in milliseconds, at the given instant.
+ *
+ * @param {string} timeZone An IANA time zone name (e.g., "Europe/Lisbon") or "UTC".
+ * @param {number} timestamp
+ * @returns {number}
+ */
+export function getTimeZoneOffset(timeZone, timestamp) {
+    if (timeZone === "UTC") {
+        return 0;
+    }
+
+    const fields = {};
+
+    getDateTimeFormat(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+        fields[type] = Number(value);
+    });
+
+    // Some browsers format midnight as 24
+    const wallClockTimestamp = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute,
+        fields.second);
+
+    return wallClockTimestamp - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts the given timestamp to a zoned one, whose UTC fields are the wall clock of the time zone.
+ *
+ * @param {string} timeZone
+ * @param {number|Date} timestamp
+ * @returns {number}
+ */
+export function toZonedTimestamp(timeZone, timestamp) {
+    return Number(timestamp) + getTimeZoneOffset(timeZone, Number(timestamp));
+}
+
+/**
+ * Converts the given zoned timestamp back to a timestamp. The wall clock times skipped by daylight saving time
+ * changes are moved forward.
+ *
+ * @param {string} timeZone
+ * @param {number|Date} zonedTimestamp
+ * @returns {number}
+ */
+export function fromZonedTimestamp(timeZone, zonedTimestamp) {
+    const approximateTimestamp = Number(zonedTimestamp) - getTimeZoneOffset(timeZone, Number(zonedTimestamp));
+
+    return Number(zonedTimestamp) - getTimeZoneOffset(timeZone, approximateTimestamp);
+}
+
+/**
+ * Makes the ticks and nice methods of the given time scale work in the wall clock of the time zone. The d3-time
+ * intervals passed to them must be the UTC ones (e.g., `utcDay`), since they are applied to zoned dates.
+ *
+ * @param {Object} scale A d3 time scale.
+ * @param {string} timeZone
+ * @returns {Object}
+ * @private
+ */
+function applyTimeZone(scale, timeZone) {
+    const copyScale = scale.copy;
+    const createZonedScale = () => scaleUtc()
+        .domain(scale.domain().map((date) => toZonedTimestamp(timeZone, date)));
+    const toDate = (zonedDate) => new Date(fromZonedTimestamp(timeZone, zonedDate));
+
+    scale.ticks = (interval) => createZonedScale().ticks(interval).map(toDate);
+
+    scale.nice = (interval) => scale.domain(createZonedScale().nice(interval).domain().map(toDate));
+
+    scale.copy = () => applyTimeZone(copyScale(), timeZone);
+
+    return scale;
+}
+
+/**
+ * Creates a d3 time scale whose ticks and nice domain are calculated in the given time zone. The positions are the
+ * same as the ones of a regular time scale, only the ticks are aligned differently.
+ *
+ * @param {string|null} timeZone An IANA time zone name or "UTC". If not passed the browser's time zone is used.
+ * @returns {Object}
+ */
+export function createTimeScale(timeZone) {
+    if (!timeZone) {
+        return scaleTime();
+    }
+
+    return applyTimeZone(scaleTime(), timeZone);
+}
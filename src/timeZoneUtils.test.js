@@ -0,0 +1,85 @@
+import { utcDay, utcHour } from "d3-time";
+import {
+    getTimeZoneOffset,
+    toZonedTimestamp,
+    fromZonedTimestamp,
+    createTimeScale
+} from "./timeZoneUtils";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("getTimeZoneOffset", () => {
+    it("returns 0 for UTC", () => {
+        expect(getTimeZoneOffset("UTC", Date.UTC(2019, 6, 1))).toBe(0);
+    });
+
+    it("returns the offset of the time zone at the given instant", () => {
+        expect(getTimeZoneOffset("America/Sao_Paulo", Date.UTC(2019, 6, 1, 12, 30, 15, 500))).toBe(-3 * HOUR);
+        expect(getTimeZoneOffset("Europe/Lisbon", Date.UTC(2019, 0, 1))).toBe(0);
+        expect(getTimeZoneOffset("Europe/Lisbon", Date.UTC(2019, 6, 1))).toBe(HOUR);
+    });
+});
+
+describe("toZonedTimestamp", () => {
+    it("returns a timestamp whose UTC fields are the wall clock of the time zone", () => {
+        const zonedDate = new Date(toZonedTimestamp("America/Sao_Paulo", Date.UTC(2019, 6, 1, 1)));
+
+        expect(zonedDate.getUTCDate()).toBe(30);
+        expect(zonedDate.getUTCHours()).toBe(22);
+    });
+});
+
+describe("fromZonedTimestamp", () => {
+    it("is the inverse of toZonedTimestamp", () => {
+        const timestamp = Date.UTC(2019, 6, 1, 1);
+
+        expect(fromZonedTimestamp("Europe/Lisbon", toZonedTimestamp("Europe/Lisbon", timestamp))).toBe(timestamp);
+    });
+
+    it("handles the daylight saving time changes", () => {
+        // Lisbon moves from UTC+0 to UTC+1 at 1am UTC of the 31st of March of 2019
+        expect(fromZonedTimestamp("Europe/Lisbon", Date.UTC(2019, 2, 31, 0, 30))).toBe(Date.UTC(2019, 2, 31, 0, 30));
+        expect(fromZonedTimestamp("Europe/Lisbon", Date.UTC(2019, 2, 31, 3))).toBe(Date.UTC(2019, 2, 31, 2));
+    });
+});
+
+describe("createTimeScale", () => {
+    it("calculates the ticks in the wall clock of the time zone", () => {
+        const scale = createTimeScale("America/Sao_Paulo")
+            .domain([Date.UTC(2019, 6, 1), Date.UTC(2019, 6, 4)]);
+
+        expect(scale.ticks(utcDay)).toEqual([
+            new Date(Date.UTC(2019, 6, 1, 3)),
+            new Date(Date.UTC(2019, 6, 2, 3)),
+            new Date(Date.UTC(2019, 6, 3, 3))
+        ]);
+    });
+
+    it("extends the domain to the boundaries of the time zone intervals", () => {
+        const scale = createTimeScale("America/Sao_Paulo")
+            .domain([Date.UTC(2019, 6, 1, 12), Date.UTC(2019, 6, 2, 12)])
+            .nice(utcDay);
+
+        expect(scale.domain()).toEqual([new Date(Date.UTC(2019, 6, 1, 3)), new Date(Date.UTC(2019, 6, 3, 3))]);
+    });
+
+    it("keeps the time zone in the copies", () => {
+        const scale = createTimeScale("UTC")
+            .domain([Date.UTC(2019, 6, 1, 0, 30), Date.UTC(2019, 6, 1, 3)])
+            .copy();
+
+        expect(scale.ticks(utcHour)).toEqual([
+            new Date(Date.UTC(2019, 6, 1, 1)),
+            new Date(Date.UTC(2019, 6, 1, 2)),
+            new Date(Date.UTC(2019, 6, 1, 3))
+        ]);
+    });
+
+    it("positions the dates like a regular time scale", () => {
+        const scale = createTimeScale("Europe/Lisbon")
+            .domain([Date.UTC(2019, 2, 31), Date.UTC(2019, 2, 31, 4)])
+            .range([0, 100]);
+
+        expect(scale(Date.UTC(2019, 2, 31, 1))).toBe(25);
+    });
+});
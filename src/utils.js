@@ -1,12 +1,31 @@
-import { timeFormat } from "d3-time-format";
-import { timeSecond, timeMinute, timeHour, timeDay, timeWeek, timeMonth, timeYear } from "d3-time";
+import { timeFormat, utcFormat, timeFormatLocale } from "d3-time-format";
+import { format as formatNumber, formatLocale } from "d3-format";
+import {
+    timeSecond,
+    timeMinute,
+    timeHour,
+    timeDay,
+    timeWeek,
+    timeMonth,
+    timeYear,
+    utcSecond,
+    utcMinute,
+    utcHour,
+    utcDay,
+    utcWeek,
+    utcMonth,
+    utcYear
+} from "d3-time";
 import { max as d3Max, min as d3Min } from "d3-array";
 import {
     X_AXIS_HEIGHT,
     BUTTON_PADDING,
     DENSITY_CHART_HEIGHT_PX,
-    PADDING
+    PADDING,
+    PRESET_BUTTON_WIDTH,
+    HEADER_HEIGHT
 } from "./constants";
+import { toZonedTimestamp } from "./timeZoneUtils";
 
 /**
  * utils
@@ -43,55 +62,181 @@ function isEqual(obj1, obj2) {
  * @returns {String}
  */
 export function histogramDefaultYAxisFormatter(value) {
-    if (value > 0 && Number.isInteger(value)) {
+    if (value !== 0 && Number.isInteger(value)) {
         return value;
     }
     return "";
 }
 
-const formatMillisecond = timeFormat(".%L"),
-    formatSecond = timeFormat(":%S"),
-    formatMinute = timeFormat("%I:%M"),
-    formatHour = timeFormat("%I %p"),
-    formatDay = timeFormat("%a %d"),
-    formatWeek = timeFormat("%b %d"),
-    formatMonth = timeFormat("%B"),
-    formatYear = timeFormat("%Y");
+// The d3 locales are cached by definition, since the default formatters are created on every axis render
+const timeFormatLocales = new WeakMap();
+
+const numberFormatLocales = new WeakMap();
 
 /**
- * Formats a date. This is the histogram default x axis formatter.
+ * Returns the d3 locale of the given definition, creating it only the first time.
+ *
+ * @param {WeakMap} locales The cache of locales.
+ * @param {function} createLocale Either `timeFormatLocale` or `formatLocale`.
+ * @param {Object} definition
+ * @returns {Object}
+ * @private
+ */
+function getLocale(locales, createLocale, definition) {
+    if (!locales.has(definition)) {
+        locales.set(definition, createLocale(definition));
+    }
+
+    return locales.get(definition);
+}
+
+/**
+ * Returns the default y axis formatter for the given d3 number locale definition, which formats the integers
+ * like `histogramDefaultYAxisFormatter` but with the locale grouping.
+ *
+ * @param {Object|null} numberLocale A d3-format locale definition.
+ * @returns {function}
+ */
+export function createDefaultYAxisFormatter(numberLocale) {
+    if (!numberLocale) {
+        return histogramDefaultYAxisFormatter;
+    }
+
+    const format = getLocale(numberFormatLocales, formatLocale, numberLocale).format(",d");
+
+    return (value) => (value !== 0 && Number.isInteger(value) ? format(value) : "");
+}
+
+/**
+ * Returns the default x axis formatter of numeric values for the given d3 number locale definition. It groups the
+ * thousands and doesn't add insignificant trailing zeros.
+ *
+ * @param {Object|null} numberLocale A d3-format locale definition. If not passed the English one is used.
+ * @returns {function}
+ */
+export function createDefaultLinearXAxisFormatter(numberLocale) {
+    const format = numberLocale ? getLocale(numberFormatLocales, formatLocale, numberLocale).format : formatNumber;
+
+    return format(",~f");
+}
+
+/**
+ * Creates the formatters of each date precision used by the default x axis formatter.
+ * @param {function} format The d3 function that creates the formatters, e.g., `timeFormat` or `utcFormat`.
+ * @param {boolean} is12HourClock
+ * @returns {Object}
+ * @private
+ */
+function createDateFormatters(format, is12HourClock) {
+    return {
+        millisecond: format(".%L"),
+        second: format(":%S"),
+        minute: format(is12HourClock ? "%I:%M" : "%H:%M"),
+        hour: format(is12HourClock ? "%I %p" : "%H:%M"),
+        day: format("%a %d"),
+        week: format("%b %d"),
+        month: format("%B"),
+        year: format("%Y")
+    };
+}
+
+const LOCAL_INTERVALS = {
+    second: timeSecond,
+    minute: timeMinute,
+    hour: timeHour,
+    day: timeDay,
+    week: timeWeek,
+    month: timeMonth,
+    year: timeYear
+};
+
+const UTC_INTERVALS = {
+    second: utcSecond,
+    minute: utcMinute,
+    hour: utcHour,
+    day: utcDay,
+    week: utcWeek,
+    month: utcMonth,
+    year: utcYear
+};
+
+const localDateFormatters = createDateFormatters(timeFormat, true);
+
+/**
+ * Formats a date with the formatter of its precision, e.g., a date at midnight is formatted as a day.
  *
  * This code is adapted from the D3 documentation.
  *
  * @param {Date} date
+ * @param {Object} intervals The d3-time intervals used to find the precision of the date, either local or UTC.
+ * @param {Object} formatters The formatters returned by `createDateFormatters`.
  * @returns {string}
+ * @private
  */
-export function multiDateFormat(date) {
+function formatDateByPrecision(date, intervals, formatters) {
     let formatter;
 
-    if (timeSecond(date) < date) {
-        formatter = formatMillisecond;
-    } else if (timeMinute(date) < date) {
-        formatter = formatSecond;
-    } else if (timeHour(date) < date) {
-        formatter = formatMinute;
-    } else if (timeDay(date) < date) {
-        formatter = formatHour;
-    } else if (timeMonth(date) < date) {
-        if (timeWeek(date) < date) {
-            formatter = formatDay;
+    if (intervals.second(date) < date) {
+        formatter = formatters.millisecond;
+    } else if (intervals.minute(date) < date) {
+        formatter = formatters.second;
+    } else if (intervals.hour(date) < date) {
+        formatter = formatters.minute;
+    } else if (intervals.day(date) < date) {
+        formatter = formatters.hour;
+    } else if (intervals.month(date) < date) {
+        if (intervals.week(date) < date) {
+            formatter = formatters.day;
         } else {
-            formatter = formatWeek;
+            formatter = formatters.week;
         }
-    } else if (timeYear(date) < date) {
-        formatter = formatMonth;
+    } else if (intervals.year(date) < date) {
+        formatter = formatters.month;
     } else {
-        formatter = formatYear;
+        formatter = formatters.year;
     }
 
     return formatter(date);
 }
 
+/**
+ * Formats a date. This is the histogram default x axis formatter.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function multiDateFormat(date) {
+    return formatDateByPrecision(date, LOCAL_INTERVALS, localDateFormatters);
+}
+
+/**
+ * Returns the default x axis formatter for the given time zone and d3 time locale definition, which formats the
+ * dates like `multiDateFormat` but with the wall clock of that time zone and the names of that locale. The hours use
+ * a 24-hour clock unless the locale time format has the AM/PM period.
+ *
+ * @param {string|null} timeZone An IANA time zone name or "UTC". If not passed the browser's time zone is used.
+ * @param {Object|null} timeLocale A d3-time-format locale definition. If not passed the names are in English.
+ * @returns {function}
+ */
+export function createMultiDateFormat(timeZone, timeLocale = null) {
+    if (!timeZone && !timeLocale) {
+        return multiDateFormat;
+    }
+
+    const locale = timeLocale ? getLocale(timeFormatLocales, timeFormatLocale, timeLocale) : null;
+    const is12HourClock = !timeLocale || timeLocale.time.includes("%p");
+
+    if (!timeZone) {
+        const formatters = createDateFormatters(locale.format, is12HourClock);
+
+        return (date) => formatDateByPrecision(date, LOCAL_INTERVALS, formatters);
+    }
+
+    const formatters = createDateFormatters(locale ? locale.utcFormat : utcFormat, is12HourClock);
+
+    return (date) => formatDateByPrecision(new Date(toZonedTimestamp(timeZone, date)), UTC_INTERVALS, formatters);
+}
+
 /**
  * Compares the x and y histogram data in two arrays and returns whenever they are the same.
  * @param {function} xAcessor The function that will return the x value.
@@ -121,6 +266,94 @@ export function isHistogramDataEqual(xAcessor, yAcessor, data1, data2) {
     return true;
 }
 
+/**
+ * Returns whenever the data was appended to the previous data, i.e., if it starts with the same elements.
+ *
+ * To avoid comparing every element we only compare the first and the last elements of the previous data, so
+ * the new elements should be appended to a copy of the previous array (e.g., `[...data, ...newData]`).
+ *
+ * @param {Array.<Object>} previousData
+ * @param {Array.<Object>} data
+ * @returns {boolean}
+ */
+export function isDataAppended(previousData, data) {
+    if (Array.isArray(previousData) === false || Array.isArray(data) === false) {
+        return false;
+    }
+
+    const previousLength = previousData.length;
+
+    return previousLength > 0
+        && data.length > previousLength
+        && data[0] === previousData[0]
+        && data[previousLength - 1] === previousData[previousLength - 1];
+}
+
+/**
+ * Returns the sorted unique series keys of the given data.
+ * @param {Array.<Object>} data
+ * @param {function} seriesAccessor
+ * @returns {Array.<string>}
+ */
+export function getSeriesKeys(data, seriesAccessor) {
+    if (typeof seriesAccessor !== "function") {
+        return [];
+    }
+
+    const keys = {};
+
+    for (let i = 0; i < data.length; i++) {
+        keys[seriesAccessor(data[i])] = true;
+    }
+
+    return Object.keys(keys).sort();
+}
+
+const preBinnedDataAccessors = {
+    xAccessor: (bucket) => bucket.x0,
+    yAccessor: (bucket) => bucket.value
+};
+
+/**
+ * Returns the accessors of the x and y values of the data. The pre-aggregated buckets always have the
+ * `x0` and `value` properties, so in that case the accessors from props are not used.
+ *
+ * @param {Object} props
+ * @returns {Object}
+ */
+export function getDataAccessors(props) {
+    if (props.preBinned) {
+        return preBinnedDataAccessors;
+    }
+
+    return {
+        xAccessor: props.xAccessor,
+        yAccessor: props.yAccessor
+    };
+}
+
+/**
+ * Returns the d3-time interval of the histogram bins for the given brushed domain, or null if the bins
+ * should be calculated from the `defaultBarCount`.
+ *
+ * @param {Object|function|null} binInterval A d3-time interval or a function that receives the duration
+ * of the brushed domain and returns one.
+ * @param {Object} brushTimeDomain
+ * @returns {Object|null}
+ */
+export function resolveBinInterval(binInterval, brushTimeDomain) {
+    if (typeof binInterval !== "function") {
+        return null;
+    }
+
+    // The d3-time intervals are also functions, but they have the `range` method
+    if (typeof binInterval.range === "function") {
+        return binInterval;
+    }
+
+    return binInterval(brushTimeDomain.max - brushTimeDomain.min) || null;
+}
+
 /**
  * Converts a Date object to unix timestamp if the parameter is
  * indeed a date, if it's not then just return the value.
@@ -152,6 +385,75 @@ export function havePropsChanged(props, prevProps, propNames) {
     return false;
 }
 
+/**
+ * Returns whenever the brushed domain is fully controlled by the parent component, i.e., when both
+ * the `brushDomain` and the `onBrushDomainChange` props are passed.
+ *
+ * @param {Object} props
+ * @returns {boolean}
+ */
+export function isBrushDomainControlled(props) {
+    return isObject(props.brushDomain) && typeof props.onBrushDomainChange === "function";
+}
+
+/**
+ * Returns whenever the brushed domain can follow the latest data, i.e., when the `followLatest` prop is passed
+ * and the brushed domain is not controlled by the parent component.
+ *
+ * @param {Object} props
+ * @returns {boolean}
+ */
+export function isFollowLatestEnabled(props) {
+    return Number.isFinite(props.followLatest) && !isBrushDomainControlled(props);
+}
+
+/**
+ * Returns whenever the header above the histogram chart is rendered, i.e., when it has the interval inputs or
+ * the zoom toolbar.
+ *
+ * @param {Object} props
+ * @returns {boolean}
+ */
+export function isHeaderEnabled(props) {
+    return Boolean(props.renderIntervalHeader || props.renderZoomToolbar);
+}
+
+/**
+ * Returns the brushed domain with the given duration that ends at the end of the overall domain.
+ *
+ * @param {Object} overallTimeDomain
+ * @param {number} duration
+ * @returns {Object}
+ */
+export function calculateLatestBrushTimeDomain(overallTimeDomain, duration) {
+    return {
+        min: Math.max(overallTimeDomain.min, overallTimeDomain.max - duration),
+        max: overallTimeDomain.max
+    };
+}
+
+/**
+ * Returns the brushed domain of the given preset. The `range` of a preset is either a duration, which ends at the
+ * end of the overall domain, or a function that receives the overall domain and returns the brushed domain. Either
+ * way the brushed domain is clamped to the overall domain.
+ *
+ * @param {Object} preset
+ * @param {Object} overallTimeDomain
+ * @returns {Object}
+ */
+export function calculatePresetBrushTimeDomain(preset, overallTimeDomain) {
+    if (typeof preset.range !== "function") {
+        return calculateLatestBrushTimeDomain(overallTimeDomain, preset.range);
+    }
+
+    const { min, max } = preset.range(overallTimeDomain);
+
+    return {
+        min: Math.max(overallTimeDomain.min, dateToTimestamp(min)),
+        max: Math.min(overallTimeDomain.max, dateToTimestamp(max))
+    };
+}
+
 /**
  * Receives the size the component should have, the padding and the how much vertical space the
  * histogram and the density plots should take and calculates the charts sizes and positions
@@ -161,8 +463,9 @@ export function havePropsChanged(props, prevProps, propNames) {
  * @private
  */
 export function calculateChartsPositionsAndSizing(props) {
-    const { height, renderPlayButton, spaceBetweenCharts, size } = props;
+    const { height, renderPlayButton, spaceBetweenCharts, size, presets = [] } = props;
     const width = size.width;
+    const headerHeight = isHeaderEnabled(props) ? HEADER_HEIGHT : 0;
 
     let playButtonPadding = 0;
 
@@ -170,7 +473,7 @@ export function calculateChartsPositionsAndSizing(props) {
         playButtonPadding = (width > (PADDING + PADDING)) ? BUTTON_PADDING : 0;
     }
 
-    const histogramHeight = height - DENSITY_CHART_HEIGHT_PX - spaceBetweenCharts;
+    const histogramHeight = height - headerHeight - DENSITY_CHART_HEIGHT_PX - spaceBetweenCharts;
 
     return {
         histogramChartDimensions: {
@@ -179,22 +482,110 @@ export function calculateChartsPositionsAndSizing(props) {
             heightForBars: histogramHeight - X_AXIS_HEIGHT
         },
         densityChartDimensions: {
-            width: width - (PADDING * 4) - playButtonPadding,
+            width: width - (PADDING * 4) - playButtonPadding - presets.length * PRESET_BUTTON_WIDTH,
             height: DENSITY_CHART_HEIGHT_PX
         }
     };
 }
 
+/**
+ * Calculates the domain of the given data.
+ * @param {Object} props
+ * @param {Array.<Object>} data
+ * @returns {Object}
+ */
+function calculateDataDomain(props, data) {
+    const { xAccessor } = getDataAccessors(props);
+    const min = d3Min(data, xAccessor);
+
+    // We're incrementing 1 millisecond in order avoid the last data point to have no width on the histogram.
+    // The pre-aggregated buckets already have a width, so in that case the domain ends with the last bucket.
+    // Numeric values have no such smallest unit, so their domain ends at the last value.
+    const padding = props.xScaleType === "linear" ? 0 : 1;
+    const max = props.preBinned ? d3Max(data, (bucket) => bucket.x1) : d3Max(data, xAccessor) + padding;
+
+    return {
+        min: dateToTimestamp(min),
+        max: dateToTimestamp(max)
+    };
+}
+
+/**
+ * Extends the overall domain with the domain of the data that was appended, without going through the
+ * previous data. The brushed domain keeps its position, unless it reaches the limits of the overall domain,
+ * in which case it keeps reaching them.
+ *
+ * @param {Object} props
+ * @param {Array.<Object>} previousData
+ * @param {Object} previousBrushTimeDomain
+ * @param {Object} previousOverallTimeDomain
+ * @returns {Object}
+ */
+function calculateAppendedDataDomain(props, previousData, previousBrushTimeDomain, previousOverallTimeDomain) {
+    const appendedDataDomain = calculateDataDomain(props, props.data.slice(previousData.length));
+    const overallTimeDomain = {
+        min: Math.min(previousOverallTimeDomain.min, appendedDataDomain.min),
+        max: Math.max(previousOverallTimeDomain.max, appendedDataDomain.max)
+    };
+
+    return {
+        brushTimeDomain: {
+            min: previousBrushTimeDomain.min === previousOverallTimeDomain.min
+                ? overallTimeDomain.min
+                : previousBrushTimeDomain.min,
+            max: previousBrushTimeDomain.max === previousOverallTimeDomain.max
+                ? overallTimeDomain.max
+                : previousBrushTimeDomain.max
+        },
+        overallTimeDomain
+    };
+}
+
+/**
+ * Calculates the brushed and overall domains after the data has changed. Returns an empty object if they
+ * are the same.
+ *
+ * @param {Object} props
+ * @param {Array.<Object>} previousData
+ * @param {Object} previousBrushTimeDomain
+ * @param {Object} [previousOverallTimeDomain]
+ * @returns {Object}
+ */
+function calculateChangedDataDomain(props, previousData, previousBrushTimeDomain, previousOverallTimeDomain) {
+    if (isObject(previousOverallTimeDomain) && isDataAppended(previousData, props.data)) {
+        return calculateAppendedDataDomain(props, previousData, previousBrushTimeDomain, previousOverallTimeDomain);
+    }
+
+    const { min, max } = calculateDataDomain(props, props.data);
+
+    // If the brush domain changed we could
+    if (min === previousBrushTimeDomain.min && max === previousBrushTimeDomain.max) {
+        return {};
+    }
+
+    return {
+        brushTimeDomain: {
+            min,
+            max
+        },
+        overallTimeDomain: {
+            min,
+            max
+        }
+    };
+}
+
 /**
  * Calculates the size of the histogram and density charts and the domain.
  * @param {Object} props
  * @param {Array.<Object>} previousData
  * @param {Object} previousBrushTimeDomain
  * @param {Object} [previousBrushDomainFromProps]
+ * @param {Object} [previousOverallTimeDomain]
  * @returns {Object}
  */
 export function calculateChartSizesAndDomain(props, previousData, previousBrushTimeDomain,
-    previousBrushDomainFromProps) {
+    previousBrushDomainFromProps, previousOverallTimeDomain) {
     const { histogramChartDimensions, densityChartDimensions } = calculateChartsPositionsAndSizing(props);
 
     let nextState = {
@@ -220,7 +611,8 @@ export function calculateChartSizesAndDomain(props, previousData, previousBrushT
         };
     }
 
-    const hasDataChanged = !isHistogramDataEqual(props.xAccessor, props.yAccessor, props.data, previousData);
+    const { xAccessor, yAccessor } = getDataAccessors(props);
+    const hasDataChanged = !isHistogramDataEqual(xAccessor, yAccessor, props.data, previousData);
 
     // We allow the user to pass a custom brush domain via props, however we only want to honor that
     // as long as the user didn't interact with the brush via the UI.
@@ -232,30 +624,15 @@ export function calculateChartSizesAndDomain(props, previousData, previousBrushT
     if (hasDataChanged) {
         // We need to store the date so that we can compare it to new data comming from `props`
         // to see if we need to recalculate the domain
-        nextState = { ...nextState, data: props.data };
-
-        const min = d3Min(props.data, props.xAccessor);
-
-        // We're incrementing 1 millisecond in order avoid the last data point to have no width on the histogram
-        const max = d3Max(props.data, props.xAccessor) + 1;
-
-        // If the brush domain changed we could
-        if (min !== previousBrushTimeDomain.min || max !== previousBrushTimeDomain.max) {
-            nextState = {
-                ...nextState,
-                brushTimeDomain: {
-                    min: dateToTimestamp(min),
-                    max: dateToTimestamp(max)
-                },
-                overallTimeDomain: {
-                    min: dateToTimestamp(min),
-                    max: dateToTimestamp(max)
-                }
-            };
-        }
+        nextState = {
+            ...nextState,
+            data: props.data,
+            ...calculateChangedDataDomain(props, previousData, previousBrushTimeDomain, previousOverallTimeDomain)
+        };
     }
 
-    if (brushDomainChanged) {
+    // In controlled mode the brush domain from props is the single source of truth, so it always wins.
+    if (brushDomainChanged || isBrushDomainControlled(props)) {
         nextState.brushTimeDomain = props.brushDomain;
     }
 
@@ -2,13 +2,26 @@ import {
     isObject,
     histogramDefaultYAxisFormatter,
     multiDateFormat,
+    createMultiDateFormat,
+    createDefaultYAxisFormatter,
+    createDefaultLinearXAxisFormatter,
     isHistogramDataEqual,
     dateToTimestamp,
     calculateChartsPositionsAndSizing,
     calculateChartSizesAndDomain,
-    havePropsChanged
+    havePropsChanged,
+    isBrushDomainControlled,
+    getSeriesKeys,
+    getDataAccessors,
+    isDataAppended,
+    isFollowLatestEnabled,
+    isHeaderEnabled,
+    resolveBinInterval,
+    calculateLatestBrushTimeDomain,
+    calculatePresetBrushTimeDomain
 } from "./utils";
 import { max as d3Max, min as d3Min } from "d3-array";
+import { PRESET_BUTTON_WIDTH, HEADER_HEIGHT } from "./constants";
 import { smallSample } from "../stories/sampleData";
 
 let xAccessor, yAccessor, previousBrushDomain;
@@ -22,7 +35,14 @@ jest.mock("d3-time", () => ({
     timeDay: (date) => date,
     timeWeek: (date) => date,
     timeMonth: (date) => date,
-    timeYear: (date) => date
+    timeYear: (date) => date,
+    utcSecond: (date) => date,
+    utcMinute: (date) => date,
+    utcHour: (date) => date,
+    utcDay: (date) => date,
+    utcWeek: (date) => date,
+    utcMonth: (date) => date,
+    utcYear: (date) => date
 }));
 
 beforeEach(() => {
@@ -54,8 +74,11 @@ describe("histogramDefaultYAxisFormatter", () => {
         expect(histogramDefaultYAxisFormatter(1)).toBe(1);
     });
 
-    it("returns the value if it is an integer smaller or equal to zero", () => {
-        expect(histogramDefaultYAxisFormatter(-1)).toBe("");
+    it("returns the value if it is an integer smaller than zero", () => {
+        expect(histogramDefaultYAxisFormatter(-1)).toBe(-1);
+    });
+
+    it("returns an empty string if the value is zero", () => {
         expect(histogramDefaultYAxisFormatter(0)).toBe("");
     });
 
@@ -68,12 +91,65 @@ describe("histogramDefaultYAxisFormatter", () => {
     });
 });
 
+describe("createDefaultYAxisFormatter", () => {
+    it("returns histogramDefaultYAxisFormatter if there is no locale", () => {
+        expect(createDefaultYAxisFormatter(null)).toBe(histogramDefaultYAxisFormatter);
+    });
+
+    it("formats the integers with the grouping of the locale", () => {
+        const formatter = createDefaultYAxisFormatter({
+            decimal: ",",
+            thousands: ".",
+            grouping: [3],
+            currency: ["", " €"]
+        });
+
+        expect(formatter(1234567)).toBe("1.234.567");
+        expect(formatter(-1234)).toBe("-1.234");
+        expect(formatter(0.5)).toBe("");
+        expect(formatter(0)).toBe("");
+    });
+});
+
+describe("createDefaultLinearXAxisFormatter", () => {
+    it("groups the thousands and trims the trailing zeros", () => {
+        const formatter = createDefaultLinearXAxisFormatter(null);
+
+        expect(formatter(1500)).toBe("1,500");
+        expect(formatter(0.25)).toBe("0.25");
+    });
+
+    it("formats the numbers with the locale", () => {
+        const formatter = createDefaultLinearXAxisFormatter({
+            decimal: ",",
+            thousands: ".",
+            grouping: [3],
+            currency: ["", " €"]
+        });
+
+        expect(formatter(1500.5)).toBe("1.500,5");
+    });
+});
+
 describe("multiDateFormat", () => {
     it("returns a string representation of the date", () => {
         expect(multiDateFormat(new Date(1533164400000))).toBe("2018");
     });
 });
 
+describe("createMultiDateFormat", () => {
+    it("returns multiDateFormat if there is no time zone", () => {
+        expect(createMultiDateFormat(null)).toBe(multiDateFormat);
+    });
+
+    it("formats the date in the given time zone", () => {
+        const date = new Date(Date.UTC(2019, 0, 1, 1));
+
+        expect(createMultiDateFormat("UTC")(date)).toBe("2019");
+        expect(createMultiDateFormat("America/Sao_Paulo")(date)).toBe("2018");
+    });
+});
+
 describe("isHistogramDataEqual", () => {
     it("returns true if the data is equal for x and y", () => {
         expect(isHistogramDataEqual((elm) => elm.timestamp, (elm) => elm.amount, [{
@@ -152,6 +228,45 @@ describe("dateToTimestamp", () => {
     });
 });
 
+describe("isDataAppended", () => {
+    it("returns true if the data starts with the previous data", () => {
+        expect(isDataAppended(smallSample.slice(0, 5), smallSample)).toBe(true);
+    });
+
+    it("returns false if the data doesn't start with the previous data", () => {
+        expect(isDataAppended(smallSample.slice(1, 5), smallSample)).toBe(false);
+        expect(isDataAppended(smallSample, smallSample.slice(0, 5))).toBe(false);
+    });
+
+    it("returns false if there was no previous data", () => {
+        expect(isDataAppended([], smallSample)).toBe(false);
+        expect(isDataAppended(undefined, smallSample)).toBe(false);
+    });
+});
+
+describe("getSeriesKeys", () => {
+    it("returns the sorted unique series keys", () => {
+        expect(getSeriesKeys([{ type: "b" }, { type: "a" }, { type: "b" }], (elm) => elm.type)).toEqual(["a", "b"]);
+    });
+
+    it("returns an empty array if there is no series accessor", () => {
+        expect(getSeriesKeys([{ type: "b" }], null)).toEqual([]);
+    });
+});
+
+describe("getDataAccessors", () => {
+    it("returns the accessors from the props", () => {
+        expect(getDataAccessors({ xAccessor, yAccessor })).toEqual({ xAccessor, yAccessor });
+    });
+
+    it("returns the accessors of the buckets if the data is pre-binned", () => {
+        const accessors = getDataAccessors({ xAccessor, yAccessor, preBinned: true });
+
+        expect(accessors.xAccessor({ x0: 1, x1: 2, value: 3 })).toBe(1);
+        expect(accessors.yAccessor({ x0: 1, x1: 2, value: 3 })).toBe(3);
+    });
+});
+
 describe("havePropsChanged", () => {
     it("returns true if a prop has changed", () => {
         expect(havePropsChanged({ name: "bob", age: 12 }, { name: "gary" }, ["name", "age"])).toBe(true);
@@ -167,6 +282,97 @@ describe("havePropsChanged", () => {
     });
 });
 
+describe("isBrushDomainControlled", () => {
+    it("returns true if both brushDomain and onBrushDomainChange are passed", () => {
+        expect(isBrushDomainControlled({ brushDomain: { min: 1, max: 2 }, onBrushDomainChange: () => {} })).toBe(true);
+    });
+
+    it("returns false if only one of brushDomain and onBrushDomainChange is passed", () => {
+        expect(isBrushDomainControlled({ brushDomain: { min: 1, max: 2 } })).toBe(false);
+        expect(isBrushDomainControlled({ onBrushDomainChange: () => {} })).toBe(false);
+    });
+});
+
+describe("isFollowLatestEnabled", () => {
+    it("returns true if followLatest is passed", () => {
+        expect(isFollowLatestEnabled({ followLatest: 1000 })).toBe(true);
+        expect(isFollowLatestEnabled({ followLatest: null })).toBe(false);
+    });
+
+    it("returns false if the brush domain is controlled", () => {
+        expect(isFollowLatestEnabled({
+            followLatest: 1000,
+            brushDomain: { min: 1, max: 2 },
+            onBrushDomainChange: () => {}
+        })).toBe(false);
+    });
+});
+
+describe("isHeaderEnabled", () => {
+    it("returns true if the interval header or the zoom toolbar is rendered", () => {
+        expect(isHeaderEnabled({ renderIntervalHeader: true })).toBe(true);
+        expect(isHeaderEnabled({ renderZoomToolbar: true })).toBe(true);
+        expect(isHeaderEnabled({ renderIntervalHeader: false, renderZoomToolbar: false })).toBe(false);
+    });
+});
+
+describe("calculateLatestBrushTimeDomain", () => {
+    it("returns the window with the given duration at the end of the overall domain", () => {
+        expect(calculateLatestBrushTimeDomain({ min: 1000, max: 5000 }, 1000)).toEqual({ min: 4000, max: 5000 });
+    });
+
+    it("doesn't start before the overall domain", () => {
+        expect(calculateLatestBrushTimeDomain({ min: 1000, max: 5000 }, 10000)).toEqual({ min: 1000, max: 5000 });
+    });
+});
+
+describe("calculatePresetBrushTimeDomain", () => {
+    const overallTimeDomain = { min: 1000, max: 5000 };
+
+    it("returns the window with the duration of the preset at the end of the overall domain", () => {
+        expect(calculatePresetBrushTimeDomain({ range: 1000 }, overallTimeDomain)).toEqual({ min: 4000, max: 5000 });
+    });
+
+    it("returns the whole overall domain for an infinite duration", () => {
+        expect(calculatePresetBrushTimeDomain({ range: Infinity }, overallTimeDomain)).toEqual(overallTimeDomain);
+    });
+
+    it("returns the domain of a custom preset, clamped to the overall domain", () => {
+        const range = jest.fn(() => ({ min: new Date(0), max: 3000 }));
+
+        expect(calculatePresetBrushTimeDomain({ range }, overallTimeDomain)).toEqual({ min: 1000, max: 3000 });
+        expect(range).toHaveBeenCalledWith(overallTimeDomain);
+    });
+});
+
+describe("resolveBinInterval", () => {
+    const brushTimeDomain = { min: 0, max: 2 * 24 * 60 * 60 * 1000 };
+
+    // d3-time is mocked, so we create intervals with the same shape
+    const createInterval = () => Object.assign((date) => date, { range: () => [] });
+    const timeHour = createInterval();
+    const timeDay = createInterval();
+
+    it("returns null if there is no bin interval", () => {
+        expect(resolveBinInterval(null, brushTimeDomain)).toBe(null);
+    });
+
+    it("returns the given d3-time interval", () => {
+        expect(resolveBinInterval(timeHour, brushTimeDomain)).toBe(timeHour);
+    });
+
+    it("calls the given function with the duration of the brushed domain", () => {
+        const binInterval = jest.fn((duration) => (duration > 24 * 60 * 60 * 1000 ? timeDay : timeHour));
+
+        expect(resolveBinInterval(binInterval, brushTimeDomain)).toBe(timeDay);
+        expect(binInterval).toHaveBeenCalledWith(2 * 24 * 60 * 60 * 1000);
+    });
+
+    it("returns null if the function doesn't return an interval", () => {
+        expect(resolveBinInterval(() => undefined, brushTimeDomain)).toBe(null);
+    });
+});
+
 describe("calculateChartsPositionsAndSizing", () => {
     it("calculate the sizes correctly if the play button is rendered", () => {
         expect(calculateChartsPositionsAndSizing({
@@ -189,6 +395,34 @@ describe("calculateChartsPositionsAndSizing", () => {
         });
     });
 
+    it("leaves space for the preset buttons", () => {
+        expect(calculateChartsPositionsAndSizing({
+            height: 150,
+            renderPlayButton: false,
+            spaceBetweenCharts: 15,
+            presets: [{ key: "hour" }, { key: "all" }],
+            size: {
+                width: 1000
+            }
+        }).densityChartDimensions.width).toBe(960 - 2 * PRESET_BUTTON_WIDTH);
+    });
+
+    it("leaves space for the header above the histogram chart", () => {
+        expect(calculateChartsPositionsAndSizing({
+            height: 150,
+            renderPlayButton: false,
+            renderIntervalHeader: true,
+            spaceBetweenCharts: 15,
+            size: {
+                width: 1000
+            }
+        }).histogramChartDimensions).toEqual({
+            "height": 115 - HEADER_HEIGHT,
+            "heightForBars": 97 - HEADER_HEIGHT,
+            "width": 990
+        });
+    });
+
     it("calculate the sizes correctly if the play button is not rendered", () => {
         expect(calculateChartsPositionsAndSizing({
             height: 150,
@@ -367,4 +601,92 @@ describe("calculateChartSizesAndDomain", () => {
             brushDomainFromProps: previousBrushTimeDomain
         });
     });
+
+    it("always uses the brushDomain from the props if it is controlled", () => {
+        const previousBrushTimeDomain = { min: 1533164500146, max: 1533167401146 };
+
+        expect(calculateChartSizesAndDomain({
+            height: 150,
+            renderPlayButton: false,
+            spaceBetweenCharts: 15,
+            size: {
+                width: 1000
+            },
+            data: smallSample,
+            xAccessor: xAccessor,
+            yAccessor: yAccessor,
+            brushDomain: previousBrushTimeDomain,
+            onBrushDomainChange: () => {}
+        }, smallSample, previousBrushDomain, previousBrushTimeDomain).brushTimeDomain).toBe(previousBrushTimeDomain);
+    });
+
+    it("uses the end of the last bucket as the max of the domain if the data is pre-binned", () => {
+        const ret = calculateChartSizesAndDomain({
+            height: 150,
+            renderPlayButton: false,
+            spaceBetweenCharts: 15,
+            size: {
+                width: 1000
+            },
+            data: [
+                { x0: 2000, x1: 3000, value: 1 },
+                { x0: 1000, x1: 2000, value: 4 }
+            ],
+            xAccessor: xAccessor,
+            yAccessor: yAccessor,
+            preBinned: true
+        }, [], { min: Infinity, max: -Infinity });
+
+        expect(ret.overallTimeDomain).toEqual({ min: 1000, max: 3000 });
+        expect(ret.brushTimeDomain).toEqual({ min: 1000, max: 3000 });
+    });
+
+    it("doesn't extend the max of the domain if the x values are numbers", () => {
+        const ret = calculateChartSizesAndDomain({
+            height: 150,
+            renderPlayButton: false,
+            spaceBetweenCharts: 15,
+            size: {
+                width: 1000
+            },
+            data: [{ timestamp: 0.25, total: 1 }, { timestamp: 0.75, total: 1 }],
+            xAccessor: xAccessor,
+            yAccessor: yAccessor,
+            xScaleType: "linear"
+        }, [], { min: Infinity, max: -Infinity });
+
+        expect(ret.overallTimeDomain).toEqual({ min: 0.25, max: 0.75 });
+    });
+
+    describe("when data is appended", () => {
+        const previousData = [{ timestamp: 1000, total: 1 }, { timestamp: 2000, total: 1 }];
+        const previousOverallTimeDomain = { min: 1000, max: 2001 };
+        const createProps = () => ({
+            height: 150,
+            renderPlayButton: false,
+            spaceBetweenCharts: 15,
+            size: {
+                width: 1000
+            },
+            data: [...previousData, { timestamp: 3000, total: 1 }],
+            xAccessor: xAccessor,
+            yAccessor: yAccessor
+        });
+
+        it("extends the overall domain and the brushed domain if it ends at the end of the overall domain", () => {
+            const ret = calculateChartSizesAndDomain(createProps(), previousData, { min: 1500, max: 2001 }, undefined,
+                previousOverallTimeDomain);
+
+            expect(ret.overallTimeDomain).toEqual({ min: 1000, max: 3001 });
+            expect(ret.brushTimeDomain).toEqual({ min: 1500, max: 3001 });
+        });
+
+        it("keeps the brushed domain if it doesn't reach the limits of the overall domain", () => {
+            const ret = calculateChartSizesAndDomain(createProps(), previousData, { min: 1500, max: 1800 }, undefined,
+                previousOverallTimeDomain);
+
+            expect(ret.overallTimeDomain).toEqual({ min: 1000, max: 3001 });
+            expect(ret.brushTimeDomain).toEqual({ min: 1500, max: 1800 });
+        });
+    });
 });
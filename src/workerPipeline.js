@@ -0,0 +1,345 @@
+/**
+ * workerPipeline
+ *
+ * Contains the logic to calculate the histogram bins and to draw the density strip in a Web Worker, so that
+ * the main thread is not blocked when there are a lot of data points.
+ *
+ * The accessors can't be sent to a worker, so the data is converted once to typed arrays (see `extractColumns`)
+ * and kept in the worker. Each brush move only sends the thresholds and domain of the bins.
+ *
+ * The functions that run in the worker (`binValues`, `drawDensityStrip` and `workerMain`) are serialized
+ * with `toString`, so they must not reference anything outside of their own scope.
+ */
+
+/**
+ * Returns whenever the browser supports running the pipeline in a worker.
+ * @returns {boolean}
+ */
+export function isWorkerPipelineSupported() {
+    return typeof Worker === "function"
+        && typeof Blob === "function"
+        && typeof URL !== "undefined"
+        && typeof URL.createObjectURL === "function"
+        && typeof URL.revokeObjectURL === "function";
+}
+
+/**
+ * Returns whenever the browser supports transferring the drawing of a canvas to a worker.
+ * @returns {boolean}
+ */
+export function isOffscreenCanvasSupported() {
+    return typeof HTMLCanvasElement !== "undefined"
+        && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === "function";
+}
+
+/**
+ * Converts the data to typed arrays with the x values, the y values and the series index of each element.
+ *
+ * @param {Array.<Object>} data
+ * @param {function} xAccessor
+ * @param {function} yAccessor
+ * @param {function|null} seriesAccessor
+ * @param {Array.<string>} seriesKeys
+ * @returns {Object}
+ */
+export function extractColumns(data, xAccessor, yAccessor, seriesAccessor, seriesKeys) {
+    const xs = new Float64Array(data.length);
+    const ys = new Float64Array(data.length);
+    const hasSeries = typeof seriesAccessor === "function";
+    const seriesIndexes = hasSeries ? new Int32Array(data.length) : null;
+
+    for (let i = 0; i < data.length; i++) {
+        xs[i] = xAccessor(data[i]);
+        ys[i] = yAccessor(data[i]);
+
+        if (hasSeries) {
+            seriesIndexes[i] = seriesKeys.indexOf(String(seriesAccessor(data[i])));
+        }
+    }
+
+    return {
+        xs,
+        ys,
+        seriesIndexes,
+        seriesCount: hasSeries ? seriesKeys.length : 0
+    };
+}
+
+/**
+ * Calculates the histogram bins of the given values the same way `histogramBinCalculator` does,
+ * but returning only the bin limits and sums.
+ *
+ * @param {Object} columns The values returned by `extractColumns`.
+ * @param {Array.<number>} thresholds
+ * @param {number} domainMin
+ * @param {number} domainMax
+ * @returns {Array.<Object>}
+ */
+export function binValues(columns, thresholds, domainMin, domainMax) {
+    const { xs, ys, seriesIndexes, seriesCount } = columns;
+
+    // Like d3 we ignore the thresholds that are outside of the domain
+    const limits = thresholds.filter((threshold) => threshold > domainMin && threshold <= domainMax);
+    const bins = [];
+
+    // Finds the bin of the value with a binary search (the same as d3's bisectRight)
+    const findBinIndex = (x) => {
+        let low = 0;
+
+        let high = limits.length;
+
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+
+            if (x < limits[middle]) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+
+        return low;
+    };
+
+    for (let i = 0; i <= limits.length; i++) {
+        bins.push({
+            x0: i > 0 ? limits[i - 1] : domainMin,
+            x1: i < limits.length ? limits[i] : domainMax,
+            yValue: 0,
+            seriesValues: seriesIndexes ? new Array(seriesCount).fill(0) : null
+        });
+    }
+
+    for (let i = 0; i < xs.length; i++) {
+        const x = xs[i];
+
+        if (x < domainMin || x > domainMax) {
+            continue;
+        }
+
+        const bin = bins[findBinIndex(x)];
+
+        bin.yValue += ys[i];
+
+        if (seriesIndexes && seriesIndexes[i] >= 0) {
+            bin.seriesValues[seriesIndexes[i]] += ys[i];
+        }
+    }
+
+    return bins;
+}
+
+/**
+ * Draws the density strip plot in the given canvas context, the same way `DensityChart` does.
+ *
+ * @param {Object} context
+ * @param {Float64Array} xs
+ * @param {Object} options
+ */
+export function drawDensityStrip(context, xs, options) {
+    const { width, height, domainMin, domainMax, brushDomainMin, brushDomainMax, color, fadedColor } = options;
+    const ratio = domainMax > domainMin ? width / (domainMax - domainMin) : 0;
+
+    context.clearRect(0, 0, width, height);
+
+    for (let i = 0; i < xs.length; i++) {
+        const x = xs[i];
+
+        context.fillStyle = x >= brushDomainMin && x < brushDomainMax ? color : fadedColor;
+        context.fillRect((x - domainMin) * ratio, 0, 2, height);
+    }
+}
+
+/**
+ * The entry point of the worker.
+ *
+ * @param {Object} scope The worker global scope.
+ * @param {function} binValuesInWorker
+ * @param {function} drawDensityStripInWorker
+ */
+function workerMain(scope, binValuesInWorker, drawDensityStripInWorker) {
+    let columns = null;
+
+    let densityCanvas = null;
+
+    let densityOptions = null;
+
+    // The density strip may be requested before the data or the canvas arrive, so we keep the last
+    // options and draw as soon as we have everything.
+    function drawDensity() {
+        if (columns === null || densityCanvas === null || densityOptions === null) {
+            return;
+        }
+
+        if (densityCanvas.width !== densityOptions.width || densityCanvas.height !== densityOptions.height) {
+            densityCanvas.width = densityOptions.width;
+            densityCanvas.height = densityOptions.height;
+        }
+
+        drawDensityStripInWorker(densityCanvas.getContext("2d"), columns.xs, densityOptions);
+    }
+
+    // Creates a typed array of the same type of the given ones with the values of both
+    function concatenate(values, appendedValues) {
+        const concatenatedValues = new values.constructor(values.length + appendedValues.length);
+
+        concatenatedValues.set(values);
+        concatenatedValues.set(appendedValues, values.length);
+
+        return concatenatedValues;
+    }
+
+    scope.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === "data") {
+            columns = message.columns;
+            drawDensity();
+        } else if (message.type === "append" && columns !== null) {
+            columns = {
+                xs: concatenate(columns.xs, message.columns.xs),
+                ys: concatenate(columns.ys, message.columns.ys),
+                seriesIndexes: columns.seriesIndexes === null
+                    ? null
+                    : concatenate(columns.seriesIndexes, message.columns.seriesIndexes),
+                seriesCount: columns.seriesCount
+            };
+            drawDensity();
+        } else if (message.type === "canvas") {
+            densityCanvas = message.canvas;
+            drawDensity();
+        } else if (message.type === "density") {
+            densityOptions = message.options;
+            drawDensity();
+        } else if (message.type === "bins" && columns !== null) {
+            scope.postMessage({
+                type: "bins",
+                id: message.id,
+                bins: binValuesInWorker(columns, message.thresholds, message.domainMin, message.domainMax)
+            });
+        }
+    };
+}
+
+/**
+ * Converts the bins returned by the worker to the same format as the ones of `histogramBinCalculator`.
+ *
+ * @param {Array.<Object>} bins
+ * @param {Array.<string>} seriesKeys
+ * @param {boolean} [isTimeScale=true] Whenever the bin limits are dates instead of numbers.
+ * @returns {Array.<Object>}
+ */
+export function toHistogramBins(bins, seriesKeys, isTimeScale = true) {
+    return bins.map(({ x0, x1, yValue, seriesValues }) => {
+        const bin = isTimeScale ? { x0: new Date(x0), x1: new Date(x1), yValue } : { x0, x1, yValue };
+
+        if (seriesValues === null) {
+            return bin;
+        }
+
+        // Like in `histogramBinCalculator` the negative values are stacked downwards
+        const y0s = { positive: 0, negative: 0 };
+
+        bin.series = seriesKeys.map((key, index) => {
+            const seriesValue = seriesValues[index];
+            const sign = seriesValue < 0 ? "negative" : "positive";
+            const series = { key, yValue: seriesValue, y0: y0s[sign], y1: y0s[sign] + seriesValue };
+
+            y0s[sign] = series.y1;
+
+            return series;
+        });
+
+        return bin;
+    });
+}
+
+/**
+ * Creates a pipeline that calculates the bins and draws the density strip in a worker.
+ * Returns null if the worker could not be created (e.g., because of a content security policy).
+ *
+ * Some browsers only fail when the worker loads or runs, in which case the worker is terminated and `onError`
+ * is called, so that everything can be calculated in the main thread instead.
+ *
+ * @param {function} onError
+ * @returns {Object|null}
+ */
+export function createWorkerPipeline(onError) {
+    const source = `(${workerMain.toString()})(self, ${binValues.toString()}, ${drawDensityStrip.toString()});`;
+    const workerUrl = URL.createObjectURL(new Blob([source], { type: "application/javascript" }));
+
+    let worker;
+
+    try {
+        worker = new Worker(workerUrl);
+    } catch (error) {
+        return null;
+    } finally {
+        // The worker keeps the source it was created with, so the url is no longer needed
+        URL.revokeObjectURL(workerUrl);
+    }
+
+    let lastBinsRequestId = 0;
+
+    let binsCallback = null;
+
+    worker.onmessage = (event) => {
+        // Only the response to the last request is relevant, the others are from domains that are no longer brushed
+        if (event.data.type === "bins" && event.data.id === lastBinsRequestId && binsCallback !== null) {
+            binsCallback(event.data.bins);
+        }
+    };
+
+    worker.onerror = (event) => {
+        event.preventDefault();
+
+        binsCallback = null;
+        worker.terminate();
+
+        onError();
+    };
+
+    // The columns are transferred instead of copied, they can't be used in the main thread afterwards
+    const postColumns = (type, columns) => {
+        const transferables = [columns.xs.buffer, columns.ys.buffer];
+
+        if (columns.seriesIndexes !== null) {
+            transferables.push(columns.seriesIndexes.buffer);
+        }
+
+        worker.postMessage({ type, columns }, transferables);
+    };
+
+    return {
+        setData(columns) {
+            postColumns("data", columns);
+        },
+
+        appendData(columns) {
+            postColumns("append", columns);
+        },
+
+        requestBins(thresholds, domainMin, domainMax, callback) {
+            lastBinsRequestId += 1;
+            binsCallback = callback;
+
+            worker.postMessage({ type: "bins", id: lastBinsRequestId, thresholds, domainMin, domainMax });
+        },
+
+        attachDensityCanvas(canvas) {
+            const offscreenCanvas = canvas.transferControlToOffscreen();
+
+            worker.postMessage({ type: "canvas", canvas: offscreenCanvas }, [offscreenCanvas]);
+        },
+
+        drawDensity(options) {
+            worker.postMessage({ type: "density", options });
+        },
+
+        terminate() {
+            binsCallback = null;
+            worker.onerror = null;
+            worker.terminate();
+        }
+    };
+}
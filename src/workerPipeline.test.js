@@ -0,0 +1,249 @@
+import { scaleTime } from "d3-scale";
+import {
+    isWorkerPipelineSupported,
+    isOffscreenCanvasSupported,
+    extractColumns,
+    binValues,
+    drawDensityStrip,
+    toHistogramBins,
+    createWorkerPipeline
+} from "./workerPipeline";
+import histogramBinCalculator from "./Histogram/histogramBinCalculator";
+import { smallSample } from "../stories/sampleData";
+
+const xAccessor = (elm) => elm.timestamp;
+const yAccessor = (elm) => elm.total;
+const seriesAccessor = (elm) => (elm.total > 0.5 ? "high" : "low");
+
+describe("isWorkerPipelineSupported", () => {
+    it("returns false if there are no workers", () => {
+        expect(isWorkerPipelineSupported()).toBe(false);
+    });
+});
+
+describe("isOffscreenCanvasSupported", () => {
+    it("returns false if canvas can't be transferred to workers", () => {
+        expect(isOffscreenCanvasSupported()).toBe(false);
+    });
+});
+
+describe("extractColumns", () => {
+    it("returns the x, y and series index of each element", () => {
+        const columns = extractColumns([
+            { timestamp: 1, total: 2 },
+            { timestamp: 3, total: 0.1 }
+        ], xAccessor, yAccessor, seriesAccessor, ["high", "low"]);
+
+        expect(Array.from(columns.xs)).toEqual([1, 3]);
+        expect(Array.from(columns.ys)).toEqual([2, 0.1]);
+        expect(Array.from(columns.seriesIndexes)).toEqual([0, 1]);
+        expect(columns.seriesCount).toBe(2);
+    });
+
+    it("doesn't return series indexes if there is no series accessor", () => {
+        expect(extractColumns([{ timestamp: 1, total: 2 }], xAccessor, yAccessor, null, []).seriesIndexes).toBe(null);
+    });
+});
+
+describe("binValues", () => {
+    it("calculates the same bins as the histogramBinCalculator", () => {
+        const histogramChartXScale = scaleTime()
+            .domain([1533309900034, 1534164400001])
+            .range([0, 1000])
+            .nice(18);
+        const expectedBins = histogramBinCalculator({
+            xAccessor,
+            yAccessor,
+            histogramChartXScale,
+            defaultBarCount: 18,
+            data: smallSample
+        });
+
+        const bins = binValues(
+            extractColumns(smallSample, xAccessor, yAccessor, null, []),
+            histogramChartXScale.ticks(18).map((date) => date.getTime()),
+            histogramChartXScale.domain()[0].getTime(),
+            histogramChartXScale.domain()[1].getTime()
+        );
+
+        expect(bins.map(({ x0, x1, yValue }) => [x0, x1, yValue])).toEqual(
+            expectedBins.map(({ x0, x1, yValue }) => [x0.getTime(), x1.getTime(), yValue])
+        );
+    });
+
+    it("sums the y values per series", () => {
+        const bins = binValues(
+            extractColumns([
+                { timestamp: 1, total: 2 },
+                { timestamp: 2, total: 0.1 },
+                { timestamp: 7, total: 1 }
+            ], xAccessor, yAccessor, seriesAccessor, ["high", "low"]),
+            [5],
+            0,
+            10
+        );
+
+        expect(bins).toEqual([
+            { x0: 0, x1: 5, yValue: 2.1, seriesValues: [2, 0.1] },
+            { x0: 5, x1: 10, yValue: 1, seriesValues: [1, 0] }
+        ]);
+    });
+});
+
+describe("drawDensityStrip", () => {
+    it("draws a line per value with the brushed color if it is inside the brush domain", () => {
+        const fillStyles = [];
+        const context = {
+            clearRect: jest.fn(),
+            fillRect: jest.fn(function () {
+                fillStyles.push(this.fillStyle);
+            })
+        };
+
+        drawDensityStrip(context, new Float64Array([0, 50, 100]), {
+            width: 200,
+            height: 20,
+            domainMin: 0,
+            domainMax: 100,
+            brushDomainMin: 40,
+            brushDomainMax: 60,
+            color: "blue",
+            fadedColor: "grey"
+        });
+
+        expect(context.clearRect).toHaveBeenCalledWith(0, 0, 200, 20);
+        expect(context.fillRect.mock.calls).toEqual([
+            [0, 0, 2, 20],
+            [100, 0, 2, 20],
+            [200, 0, 2, 20]
+        ]);
+        expect(fillStyles).toEqual(["grey", "blue", "grey"]);
+    });
+});
+
+describe("toHistogramBins", () => {
+    it("converts the limits to dates and stacks the series", () => {
+        expect(toHistogramBins([
+            { x0: 0, x1: 5, yValue: 3, seriesValues: [2, 1] }
+        ], ["high", "low"])).toEqual([{
+            x0: new Date(0),
+            x1: new Date(5),
+            yValue: 3,
+            series: [
+                { key: "high", yValue: 2, y0: 0, y1: 2 },
+                { key: "low", yValue: 1, y0: 2, y1: 3 }
+            ]
+        }]);
+    });
+
+    it("stacks the negative values of the series downwards", () => {
+        expect(toHistogramBins([
+            { x0: 0, x1: 5, yValue: 0, seriesValues: [-2, 3, -1] }
+        ], ["a", "b", "c"])[0].series).toEqual([
+            { key: "a", yValue: -2, y0: 0, y1: -2 },
+            { key: "b", yValue: 3, y0: 0, y1: 3 },
+            { key: "c", yValue: -1, y0: -2, y1: -3 }
+        ]);
+    });
+
+    it("keeps the limits as numbers if the scale is not a time scale", () => {
+        expect(toHistogramBins([{ x0: 0, x1: 5, yValue: 3, seriesValues: null }], [], false)).toEqual([
+            { x0: 0, x1: 5, yValue: 3 }
+        ]);
+    });
+});
+
+describe("createWorkerPipeline", () => {
+    let worker;
+
+    beforeEach(() => {
+        global.URL.createObjectURL = jest.fn(() => "blob:worker");
+        global.URL.revokeObjectURL = jest.fn();
+        global.Worker = jest.fn(function () {
+            this.postMessage = jest.fn();
+            this.terminate = jest.fn();
+            worker = this;
+        });
+    });
+
+    afterEach(() => {
+        delete global.Worker;
+        delete global.URL.createObjectURL;
+        delete global.URL.revokeObjectURL;
+    });
+
+    it("returns null if the worker can't be created", () => {
+        global.Worker = jest.fn(() => {
+            throw new Error("Blocked by the content security policy");
+        });
+
+        expect(createWorkerPipeline(jest.fn())).toBe(null);
+    });
+
+    it("revokes the url of the worker source once the worker is created", () => {
+        createWorkerPipeline();
+
+        expect(global.Worker).toHaveBeenCalledWith("blob:worker");
+        expect(global.URL.revokeObjectURL).toHaveBeenCalledWith("blob:worker");
+    });
+
+    it("terminates the worker and calls onError if the worker fails to load or run", () => {
+        const onError = jest.fn();
+        const callback = jest.fn();
+        const pipeline = createWorkerPipeline(onError);
+
+        pipeline.requestBins([5], 0, 10, callback);
+        worker.onerror({ preventDefault: jest.fn() });
+        worker.onmessage({ data: { type: "bins", id: 1, bins: ["late"] } });
+
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("only calls the callback with the bins of the last request", () => {
+        const pipeline = createWorkerPipeline(jest.fn());
+        const firstCallback = jest.fn();
+        const lastCallback = jest.fn();
+
+        pipeline.requestBins([5], 0, 10, firstCallback);
+        pipeline.requestBins([5], 0, 20, lastCallback);
+
+        worker.onmessage({ data: { type: "bins", id: 1, bins: ["stale"] } });
+        worker.onmessage({ data: { type: "bins", id: 2, bins: ["fresh"] } });
+
+        expect(firstCallback).not.toHaveBeenCalled();
+        expect(lastCallback).toHaveBeenCalledWith(["fresh"]);
+    });
+
+    it("transfers the data to the worker", () => {
+        const pipeline = createWorkerPipeline(jest.fn());
+        const columns = extractColumns(smallSample, xAccessor, yAccessor, null, []);
+
+        pipeline.setData(columns);
+
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: "data", columns }, [
+            columns.xs.buffer,
+            columns.ys.buffer
+        ]);
+    });
+
+    it("transfers the appended data to the worker", () => {
+        const pipeline = createWorkerPipeline(jest.fn());
+        const columns = extractColumns(smallSample, xAccessor, yAccessor, (elm) => elm.channel, ["web"]);
+
+        pipeline.appendData(columns);
+
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: "append", columns }, [
+            columns.xs.buffer,
+            columns.ys.buffer,
+            columns.seriesIndexes.buffer
+        ]);
+    });
+
+    it("terminates the worker", () => {
+        createWorkerPipeline(jest.fn()).terminate();
+
+        expect(worker.terminate).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,34 @@
+import React, { PureComponent } from "react";
+import sampleData from "./sampleData";
+import Histogram from "../src/index";
+
+// Keeps the selected bars in its own state and shows their total.
+export default class SelectableHistogram extends PureComponent {
+    state = {
+        selectedBins: []
+    };
+
+    _onSelectionChange = (selectedBins) => {
+        this.setState({ selectedBins });
+    };
+
+    render() {
+        const { selectedBins } = this.state;
+        const selectedTotal = sampleData
+            .filter(({ timestamp }) => selectedBins.some(({ min, max }) => timestamp >= min && timestamp < max))
+            .reduce((total, { total: value }) => total + value, 0);
+
+        return (
+            <div>
+                <Histogram
+                    data={sampleData}
+                    xAccessor={(datapoint) => datapoint.timestamp}
+                    yAccessor={(datapoint) => datapoint.total}
+                    selectedBins={selectedBins}
+                    onSelectionChange={this._onSelectionChange}
+                />
+                <p>Selected total: {selectedTotal}</p>
+            </div>
+        );
+    }
+}
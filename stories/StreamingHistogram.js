@@ -0,0 +1,36 @@
+import React, { PureComponent } from "react";
+import { calculate } from "./sampleData";
+import Histogram from "../src/index";
+
+// Appends a new event every second, like a live monitoring dashboard would.
+export default class StreamingHistogram extends PureComponent {
+    state = {
+        data: calculate(100).map((datapoint, index) => ({
+            ...datapoint,
+            timestamp: Date.now() - (100 - index) * 1000
+        }))
+    };
+
+    componentDidMount() {
+        this.interval = setInterval(() => {
+            this.setState(({ data }) => ({
+                data: [...data, { timestamp: Date.now(), total: Math.random() }]
+            }));
+        }, 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.interval);
+    }
+
+    render() {
+        return (
+            <Histogram
+                {...this.props}
+                data={this.state.data}
+                xAccessor={(datapoint) => datapoint.timestamp}
+                yAccessor={(datapoint) => datapoint.total}
+            />
+        );
+    }
+}
@@ -1,10 +1,15 @@
-import React, { Fragment } from "react";
+import React, { Fragment, PureComponent } from "react";
 import { timeFormat } from "d3-time-format";
+import { timeHour, timeDay, timeWeek, utcDay } from "d3-time";
 
+import germanTimeLocale from "d3-time-format/locale/de-DE.json";
+import germanNumberLocale from "d3-format/locale/de-DE.json";
 import { storiesOf } from "@storybook/react";
-import { withKnobs, number, object } from "@storybook/addon-knobs";
+import { withKnobs, number, object, select } from "@storybook/addon-knobs";
 
-import sampleData from "./sampleData";
+import sampleData, { calculate, calculateBuckets } from "./sampleData";
+import StreamingHistogram from "./StreamingHistogram";
+import SelectableHistogram from "./SelectableHistogram";
 import Histogram from "../src/index";
 import "../src/Histogram/Histogram.scss";
 
@@ -40,6 +45,72 @@ function histogramTooltipBar(bar) {
     );
 }
 
+// Shows the aggregated value and the number of elements it was calculated from
+function aggregatedTooltipBar(bar, elements) {
+    return (
+        <Fragment>
+            <div className="fdz-css-graph-histogram-bars--tooltip-value">
+                {bar.yValue.toFixed(2)} ({elements.length} Events)
+            </div>
+            <div className="fdz-css-graph-histogram-bars--tooltip-dates">
+                {formatContextInterval(bar.x0, bar.x1)}
+            </div>
+        </Fragment>
+    );
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Uses bigger calendar units as the brushed interval grows
+function calculateBinInterval(brushedDuration) {
+    if (brushedDuration > 28 * DAY) {
+        return timeWeek;
+    }
+
+    return brushedDuration > 2 * DAY ? timeDay : timeHour;
+}
+
+// Simulates a server that returns more data points for the requested interval after a second.
+function requestSampleData({ min, max }) {
+    return new Promise((resolve) => {
+        setTimeout(() => {
+            resolve(calculate(1000).map((datapoint, index) => ({
+                ...datapoint,
+                timestamp: min + (max - min) * index / 1000
+            })));
+        }, 1000);
+    });
+}
+
+// Keeps the brushed interval in its own state, like a parent that syncs it with the url would.
+// Only allows intervals of at least one week.
+class ControlledHistogram extends PureComponent {
+    state = {
+        brushDomain: {
+            min: 1533309900034,
+            max: 1533900000000
+        }
+    };
+
+    _onBrushDomainChange = (brushDomain) => {
+        if (brushDomain.max - brushDomain.min >= 7 * 24 * 60 * 60 * 1000) {
+            this.setState({ brushDomain });
+        }
+    };
+
+    render() {
+        return (
+            <Histogram
+                data={sampleData}
+                xAccessor={(datapoint) => datapoint.timestamp}
+                yAccessor={(datapoint) => datapoint.total}
+                brushDomain={this.state.brushDomain}
+                onBrushDomainChange={this._onBrushDomainChange}
+            />
+        );
+    }
+}
+
 stories
     .add("Basic example", () => (
         <Histogram
@@ -126,4 +197,258 @@ stories
                 max: number("max", 1870070000000)
             }}
         />
+    ))
+    .add("With a controlled brush interval", () => (
+        <ControlledHistogram />
+    ))
+    .add("With bars stacked by series", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            seriesAccessor={(datapoint) => (datapoint.total > 0.5 ? "fraud" : "legit")}
+            tooltipBarCustomization={(bar) => (
+                <Fragment>
+                    {bar.series.map(({ key, yValue }) => (
+                        <div key={key} className="fdz-css-graph-histogram-bars--tooltip-value">
+                            {`${key}: ${Math.floor(yValue)}`}
+                        </div>
+                    ))}
+                </Fragment>
+            )}
+        />
+    ))
+    .add("With bars grouped by series", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            seriesAccessor={(datapoint) => ["web", "mobile", "pos"][Math.floor(datapoint.total * 3) % 3]}
+            seriesLayout="grouped"
+            barOptions={{
+                margin: 4,
+                seriesMargin: 1
+            }}
+        />
+    ))
+    .add("Rendering the bars in a canvas", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            defaultBarCount={number("defaultBarCount", 200)}
+            renderer="canvas"
+        />
+    ))
+    .add("Calculating the bins in a web worker", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            useWorker
+        />
+    ))
+    .add("With a bar per calendar unit", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            binInterval={calculateBinInterval}
+        />
+    ))
+    .add("In a given time zone", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            timeZone={select("timeZone", ["UTC", "Europe/Lisbon", "America/Sao_Paulo"], "America/Sao_Paulo")}
+            binInterval={utcDay}
+        />
+    ))
+    .add("With a german locale", () => (
+        <Histogram
+            data={sampleData.map((datapoint) => ({ ...datapoint, total: datapoint.total * 10000 }))}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            yAxisTicks={2}
+            locale={{ time: germanTimeLocale, number: germanNumberLocale }}
+        />
+    ))
+    .add("With numeric x values", () => (
+        <Histogram
+            data={sampleData.map((datapoint, index) => ({ amount: Math.round(datapoint.total * 5000), id: index }))}
+            xAccessor={(datapoint) => datapoint.amount}
+            yAccessor={() => 1}
+            xScaleType="linear"
+            minZoomUnit={10}
+        />
+    ))
+    .add("With a logarithmic y scale", () => (
+        <Histogram
+            data={sampleData.map((datapoint, index) => ({
+                ...datapoint,
+                total: index % 100 === 0 ? datapoint.total * 1000 : datapoint.total
+            }))}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            yScaleType={select("yScaleType", ["linear", "log", "sqrt", "symlog"], "log")}
+        />
+    ))
+    .add("With negative values", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => Math.round((datapoint.total - 0.5) * 100)}
+            tooltipBarCustomization={histogramTooltipBar}
+        />
+    ))
+    .add("With an aggregation of the values", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={aggregatedTooltipBar}
+            yAxisFormatter={(value) => value.toFixed(1)}
+            aggregate={select("aggregate", ["sum", "count", "mean", "median", "max", "min", "p95", "distinct"], "p95")}
+        />
+    ))
+    .add("With overlay lines", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            overlays={[
+                { key: "average", transform: "movingAverage", windowSize: 3, color: "#ff9800" },
+                {
+                    key: "expected",
+                    data: calculateBuckets(24 * 14, 60 * 60 * 1000),
+                    xAccessor: (bucket) => bucket.x0,
+                    yAccessor: (bucket) => bucket.value,
+                    color: "#4caf50",
+                    yAxis: "right"
+                }
+            ]}
+        />
+    ))
+    .add("With annotations", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            annotations={[
+                { key: "sla", type: "y", value: 20, label: "SLA", tooltip: "Alert above 20 events" },
+                { key: "deploy", type: "x", value: 1533309900034 + 3 * DAY, label: "Deploy v2.1" },
+                {
+                    key: "incident",
+                    type: "range",
+                    from: 1533309900034 + 5 * DAY,
+                    to: 1533309900034 + 6 * DAY,
+                    label: "Incident",
+                    tooltip: "Payment gateway outage"
+                }
+            ]}
+        />
+    ))
+    .add("Zooming into the clicked bar", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            onBarClick={(bar) => console.log("Clicked bar", bar.x0, bar.x1)}
+            zoomOnBarClick
+        />
+    ))
+    .add("Selecting bars", () => <SelectableHistogram />)
+    .add("Brushing the histogram to zoom (hold shift)", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            brushToZoom
+        />
+    ))
+    .add("With presets", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            presets={[
+                { key: "day", label: "1d", range: DAY },
+                { key: "week", label: "1w", range: 7 * DAY },
+                { key: "all", label: "All", range: Infinity },
+                { key: "first-day", label: "1st", range: ({ min }) => ({ min, max: min + DAY }) }
+            ]}
+        />
+    ))
+    .add("With the interval header", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            renderIntervalHeader
+            renderZoomToolbar
+        />
+    ))
+    .add("Snapping the brushed interval to the bars", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            snapTo="bins"
+        />
+    ))
+    .add("Snapping the brushed interval to hours", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            snapTo={timeHour}
+            renderIntervalHeader
+        />
+    ))
+    .add("With the zoom toolbar", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            renderZoomToolbar
+        />
+    ))
+    .add("With pre-binned data", () => (
+        <Histogram
+            data={calculateBuckets(24 * 14, 60 * 60 * 1000)}
+            xAccessor={(bucket) => bucket.x0}
+            yAccessor={(bucket) => bucket.value}
+            tooltipBarCustomization={histogramTooltipBar}
+            preBinned
+        />
+    ))
+    .add("Requesting the data of the brushed interval", () => (
+        <Histogram
+            data={sampleData}
+            xAccessor={(datapoint) => datapoint.timestamp}
+            yAccessor={(datapoint) => datapoint.total}
+            tooltipBarCustomization={histogramTooltipBar}
+            onRequestData={requestSampleData}
+        />
+    ))
+    .add("With data being appended every second", () => (
+        <StreamingHistogram />
+    ))
+    .add("Following the latest data", () => (
+        <StreamingHistogram followLatest={number("followLatest", 30 * 1000)} />
     ));
@@ -23,3 +23,24 @@ export function calculate(numberOfPoints) {
 export default calculate(NUMBER_OF_POINTS);
 
 export const smallSample = calculate(10);
+
+/**
+ * Calculates some sample pre-aggregated data, with a bucket per interval
+ *
+ * @param {number} numberOfBuckets
+ * @param {number} bucketDuration
+ * @returns {Array.<Object>}
+ */
+export function calculateBuckets(numberOfBuckets, bucketDuration) {
+    const buckets = [];
+
+    for (let i = 0; i < numberOfBuckets; i++) {
+        buckets.push({
+            "x0": startTimestamp + i * bucketDuration,
+            "x1": startTimestamp + (i + 1) * bucketDuration,
+            "value": Math.floor(Math.abs(Math.sin(i / 10)) * 100)
+        });
+    }
+
+    return buckets;
+}